@@ -0,0 +1,192 @@
+/**
+ * @file rule_engine_view.js
+ * @description 規則檢查結果的畫面呈現。
+ * 將 RuleEngine.evaluate 回傳的違規物件標記在月曆上（衝突為紅色、提醒為黃色），並跳出檢查結果提示。
+ * 須在 scheduling_rules.js 之後載入。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const RuleEngine = window.RuleEngine;
+
+    // 定義畫面呈現物件
+    const RuleEngineView = {};
+
+    // 衝突清單中顯示的規則名稱
+    RuleEngineView.RULE_TYPE_NAMES = {
+        'maxConsecutiveWorkDays': '最大連續工作天數',
+        'no24HourShift': '禁止連續工作24小時',
+        'noDirectShiftTransition': '班次間最少休息時數',
+        'balanceShifts': '白班夜班平衡',
+        'preferredShift': '偏好班次',
+        'maxWeeklyShifts': '每週最大班次數',
+        'maxWeeklyHours': '每週最多工時',
+        'maxMonthlyOvertime': '每月加班上限',
+        'minDaysOffInSeven': '每七日休息',
+        'minStaff': '最少人數',
+        'maxStaff': '最多人數',
+        'preferredStaff': '建議人數',
+        'minSkillStaff': '技能人數',
+        'employeeAvailability': '員工不可用',
+        'availabilityRequest': '休假/上班請求',
+        'duplicateAssignment': '同日重複排班',
+    };
+
+    /**
+     * 在日期格中加入指標與提示文字（同一原因只列一次）
+     */
+    function addIndicator(cell, className, symbol, reason) {
+        let indicator = cell.querySelector(`.${className}`);
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.className = className;
+            indicator.innerHTML = `${symbol}<div class="conflict-tooltip"></div>`;
+            cell.appendChild(indicator);
+        }
+
+        const tooltip = indicator.querySelector('.conflict-tooltip');
+        if (tooltip && !tooltip.innerHTML.includes(reason)) {
+            tooltip.innerHTML += `• ${reason}<br>`;
+        }
+    }
+
+    /**
+     * 清除所有驗證高亮顯示
+     */
+    RuleEngineView.clearHighlights = function(calendarGrid) {
+        if (!calendarGrid) return;
+        calendarGrid.querySelectorAll('.conflict-cell').forEach(cell => {
+            cell.classList.remove('conflict-cell');
+        });
+        calendarGrid.querySelectorAll('.warning-cell').forEach(cell => {
+            cell.classList.remove('warning-cell');
+        });
+        calendarGrid.querySelectorAll('.conflict-indicator, .warning-indicator').forEach(indicator => {
+            indicator.remove();
+        });
+    };
+
+    /**
+     * 在月曆上標記違規：衝突以紅色標記，提醒（軟性規則）以黃色標記
+     * @param {HTMLElement} calendarGrid - 月曆容器
+     * @param {Array<object>} violations - RuleEngine.evaluate 的回傳值
+     */
+    RuleEngineView.highlightViolations = function(calendarGrid, violations) {
+        if (!calendarGrid) return;
+        violations.forEach(violation => {
+            violation.dates.forEach(date => {
+                const cell = calendarGrid.querySelector(`[data-date="${date}"]`);
+                if (!cell) return;
+
+                if (violation.severity === 'warning') {
+                    if (!cell.classList.contains('conflict-cell')) cell.classList.add('warning-cell');
+                    addIndicator(cell, 'warning-indicator', '?', violation.message);
+                } else {
+                    cell.classList.remove('warning-cell');
+                    cell.classList.add('conflict-cell');
+                    addIndicator(cell, 'conflict-indicator', '!', violation.message);
+                }
+            });
+        });
+    };
+
+    /**
+     * 將違規清單渲染到容器中，點選項目時呼叫 onSelect(violation)
+     * @param {HTMLElement} container - 清單容器
+     * @param {Array<object>} violations - 要顯示的違規（已篩選）
+     * @param {function} onSelect - 點選項目的回呼
+     */
+    RuleEngineView.renderViolationList = function(container, violations, onSelect) {
+        container.innerHTML = '';
+        if (violations.length === 0) {
+            container.innerHTML = '<p class="text-gray-500 text-sm text-center py-4">沒有符合篩選條件的項目</p>';
+            return;
+        }
+
+        violations.forEach(violation => {
+            const isWarning = violation.severity === 'warning';
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `violation-item w-full text-left rounded-lg border px-3 py-2 text-sm transition-colors ${isWarning ? 'bg-amber-50 border-amber-200 hover:bg-amber-100' : 'bg-red-50 border-red-200 hover:bg-red-100'}`;
+            const dateText = violation.dates.length > 2
+                ? `${violation.dates[0]} ~ ${violation.dates[violation.dates.length - 1]}`
+                : violation.dates.join('、');
+            item.innerHTML = `
+                <div class="flex items-center justify-between gap-2 text-xs ${isWarning ? 'text-amber-700' : 'text-red-700'}">
+                    <span class="font-semibold">${isWarning ? '提醒' : '衝突'}・${RuleEngineView.RULE_TYPE_NAMES[violation.ruleType] || violation.ruleType}</span>
+                    <span>${dateText}</span>
+                </div>
+                <div class="text-gray-700 mt-1">${violation.message}</div>
+            `;
+            item.addEventListener('click', () => onSelect(violation));
+            container.appendChild(item);
+        });
+    };
+
+    /**
+     * 捲動到違規的第一個日期，並標示相關日期與員工的班次
+     * @param {HTMLElement} calendarGrid - 月曆容器
+     * @param {object} violation - 違規物件
+     * @returns {boolean} 月曆上是否找到該日期
+     */
+    RuleEngineView.focusViolation = function(calendarGrid, violation) {
+        calendarGrid.querySelectorAll('.focused-cell').forEach(cell => cell.classList.remove('focused-cell'));
+        calendarGrid.querySelectorAll('.focused-shift').forEach(item => item.classList.remove('focused-shift'));
+
+        const cells = violation.dates
+            .map(date => calendarGrid.querySelector(`[data-date="${date}"]`))
+            .filter(Boolean);
+        if (cells.length === 0) return false;
+
+        cells.forEach(cell => {
+            cell.classList.add('focused-cell');
+            if (!violation.employee) return;
+            cell.querySelectorAll('.shift-item').forEach(item => {
+                if (item.dataset.employee === violation.employee) item.classList.add('focused-shift');
+            });
+        });
+        cells[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return true;
+    };
+
+    /**
+     * 檢查整個月的排班並在月曆上標記，不跳出提示
+     * @param {object} params - { currentDate, scheduleData, schedulingConditions, shiftTypes, shiftDefinitions, employees, calendarGrid, employeeAvailability, holidayDates }
+     * @returns {{totalConflicts: number, totalWarnings: number, isValid: boolean, violations: Array<object>}}
+     */
+    RuleEngineView.run = function(params) {
+        const { currentDate, scheduleData, schedulingConditions, shiftTypes, shiftDefinitions, employees, calendarGrid, employeeAvailability, holidayDates } = params;
+        RuleEngineView.clearHighlights(calendarGrid);
+
+        const violations = RuleEngine.evaluate(scheduleData, schedulingConditions, {
+            year: currentDate.getFullYear(),
+            month: currentDate.getMonth(),
+            shiftTypes,
+            shiftDefinitions,
+            employees,
+            employeeAvailability,
+            holidayDates,
+        });
+        RuleEngineView.highlightViolations(calendarGrid, violations);
+        return { ...RuleEngine.summarize(violations), violations };
+    };
+
+    /**
+     * 驗證整個月的排班，在月曆上標記並跳出結果提示
+     * @param {object} params - 同 run
+     * @returns {{totalConflicts: number, totalWarnings: number, isValid: boolean, violations: Array<object>}}
+     */
+    RuleEngineView.validate = function(params) {
+        const result = RuleEngineView.run(params);
+        const { totalConflicts, totalWarnings } = result;
+        const warningText = totalWarnings > 0 ? `\n另有 ${totalWarnings} 個偏好、建議人數或休假請求提醒，請查看月曆上的黃色標記。` : '';
+        if (totalConflicts === 0) alert(`🎉 太棒了！未發現任何排班衝突。${warningText}`);
+        else alert(`⚠️ 發現 ${totalConflicts} 個排班衝突，請查看月曆上的紅色標記。${warningText}`);
+        return result;
+    };
+
+    window.RuleEngineView = RuleEngineView;
+
+})(window);
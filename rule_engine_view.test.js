@@ -0,0 +1,47 @@
+/**
+ * @file rule_engine_view.test.js
+ * @description 規則檢查結果呈現的測試（以 node --test 執行）。
+ * rule_engine_view.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入；不傳月曆容器時不會操作畫面。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+globalThis.RuleEngine = require('./scheduling_rules.js');
+require('./rule_engine_view.js');
+const { RuleEngineView } = globalThis;
+
+const params = {
+    currentDate: new Date(2026, 9, 1),
+    scheduleData: {
+        '2026-10-05': [{ employee: 'a', shift: 'night' }, { employee: 'a', shift: 'day' }],
+        '2026-10-06': [{ employee: 'a', shift: 'day' }],
+        '2026-10-07': [{ employee: 'a', shift: 'day' }],
+    },
+    schedulingConditions: {
+        employeeRules: [
+            { employee: 'a', type: 'maxConsecutiveWorkDays', value: 2 },
+            { employee: 'a', type: 'preferredShift', shift: 'night' },
+        ],
+        shiftRules: [{ shift: 'day', type: 'maxStaff', value: 0 }],
+    },
+    shiftTypes: {},
+    employeeAvailability: { a: { '2026-10-06': false } },
+    holidayDates: {},
+};
+
+test('run 回傳本月的違規與統計，沒有月曆時不操作畫面', () => {
+    const result = RuleEngineView.run(params);
+    const types = new Set(result.violations.map(v => v.ruleType));
+    ['maxConsecutiveWorkDays', 'preferredShift', 'maxStaff', 'employeeAvailability', 'duplicateAssignment'].forEach(type => assert.ok(types.has(type), type));
+    assert.equal(result.totalWarnings, result.violations.filter(v => v.severity === 'warning').length);
+    assert.equal(result.totalConflicts + result.totalWarnings, result.violations.length);
+    assert.equal(result.isValid, false);
+});
+
+test('每種違規在清單中都有規則名稱', () => {
+    RuleEngineView.run(params).violations.forEach(v => assert.ok(RuleEngineView.RULE_TYPE_NAMES[v.ruleType], v.ruleType));
+});
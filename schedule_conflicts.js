@@ -0,0 +1,114 @@
+/**
+ * @file schedule_conflicts.js
+ * @description 自動排班結果的新衝突檢查與撤回。
+ * 以 RuleEngine 檢查排班期間涵蓋的每個月份，找出排班前沒有的新衝突，
+ * 再撤回造成新衝突的新排班次，直到沒有新衝突或沒有可撤回的班次為止；撤回後仍存在的新衝突照實列出。
+ * 本模組不操作畫面，也不直接讀寫 localStorage。須在 scheduling_rules.js 之後載入。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const RuleEngine = window.RuleEngine;
+
+    // 定義衝突檢查物件
+    const ScheduleConflicts = {};
+
+    // 人數上限類的班別規則：撤回多排的人即可消除衝突（其餘班別規則為人數不足，撤回班次無法改善）
+    const WITHDRAWABLE_SHIFT_RULES = ['maxStaff'];
+
+    // --- 內部輔助函式 ---
+
+    function violationKey(v) {
+        return `${v.ruleType}|${v.employee}|${v.shift}|${v.dates.join(',')}`;
+    }
+
+    // --- 公開函式 ---
+
+    /**
+     * 檢查多個月份的排班；跨月的違規（如月底夜班接下月1日白班）在相鄰兩個月都會列出，以 key 合併為一筆
+     * @param {object} scheduleData - 排班資料
+     * @param {object} conditions - 排班條件
+     * @param {object} options - { months: [{ year, month }], ... }，month 為 0-11；其餘欄位（shiftTypes、shiftDefinitions、employees、employeeAvailability、holidayDates）傳給 RuleEngine.evaluate
+     * @returns {Map<string, object>} 違規的 key 對應違規物件
+     */
+    ScheduleConflicts.collectViolations = function(scheduleData, conditions, options) {
+        const { months, ...evaluateOptions } = options;
+        const unique = new Map();
+        months.forEach(({ year, month }) => {
+            RuleEngine.evaluate(scheduleData, conditions, { ...evaluateOptions, year, month }).forEach(v => unique.set(violationKey(v), v));
+        });
+        return unique;
+    };
+
+    /**
+     * 列出某天新排的班次（不在 base 中的班次）
+     * @param {object} base - 自動排班前保留的排班
+     * @param {object} scheduleData - 自動排班後的排班
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Array<{employee, shift}>}
+     */
+    ScheduleConflicts.listGenerated = function(base, scheduleData, date) {
+        return (scheduleData[date] || []).filter(s => !(base[date] || []).some(e => e.employee === s.employee && e.shift === s.shift));
+    };
+
+    /**
+     * 撤回造成新衝突的班次（不修改傳入的排班資料）。
+     * 新衝突為排班前沒有的衝突（依 key 比對，修正了原有的衝突也不會抵銷新的衝突）；只撤回本次新排的班次，
+     * 優先撤回衝突所在的班次、較晚的日期，每位員工每輪只處理日期最早的衝突，撤回一班常能同時消除後續的衝突（如連續上班），
+     * 重新檢查到沒有新衝突或沒有可撤回的班次為止。人數不足類的衝突撤回班次也無法改善，保留在 newConflicts。
+     * @param {object} params
+     * @param {object} params.before - 排班前的排班資料
+     * @param {object} params.base - 自動排班前保留的排班（重新產生時已移除未鎖定的班次），不在其中的班次為新排的班次
+     * @param {object} params.schedule - 自動排班後的排班資料
+     * @param {string[]} params.dates - 排班期間的日期
+     * @param {object} params.conditions - 排班條件
+     * @param {object} params.options - 同 collectViolations
+     * @returns {{schedule: object, withdrawn: Array<{date, employee, shift, reason}>, newConflicts: Array, violations: Array}}
+     * newConflicts 為撤回後仍存在的新衝突；violations 為撤回後排班的所有違規（含提醒）
+     */
+    ScheduleConflicts.withdrawNewConflicts = function(params) {
+        const { before, base, dates, conditions, options } = params;
+        const schedule = JSON.parse(JSON.stringify(params.schedule));
+        const beforeViolations = ScheduleConflicts.collectViolations(before, conditions, options);
+        const findNewConflicts = (violations) => [...violations]
+            .filter(([key, v]) => v.severity === 'error' && !beforeViolations.has(key))
+            .map(([, v]) => v);
+        const withdrawn = [];
+
+        let violations = ScheduleConflicts.collectViolations(schedule, conditions, options);
+        let newConflicts = findNewConflicts(violations);
+        while (newConflicts.length > 0) {
+            const withdrawals = new Map();
+            const handled = new Set();
+            [...newConflicts].sort((a, b) => a.dates[0].localeCompare(b.dates[0])).forEach(v => {
+                if (!v.employee && !WITHDRAWABLE_SHIFT_RULES.includes(v.ruleType)) return;
+                const scope = v.employee || `${v.dates[0]}|${v.shift}`;
+                if (handled.has(scope)) return;
+                handled.add(scope);
+                const findCandidates = (candidateDates) => [...candidateDates].sort().reverse().flatMap(date => ScheduleConflicts.listGenerated(base, schedule, date)
+                    .filter(s => (!v.employee || s.employee === v.employee) && (v.employee || s.shift === v.shift))
+                    .map(s => ({ date, employee: s.employee, shift: s.shift, reason: v.message })));
+                let candidates = findCandidates(v.dates);
+                // 衝突所在的日期沒有新排的班次時（如連續上班延續到原有的班次），撤回該員工在這之前最近的一個新班次
+                const lastDate = [...v.dates].sort().pop();
+                if (candidates.length === 0 && v.employee) candidates = findCandidates(dates.filter(date => date <= lastDate)).slice(0, 1);
+                const target = candidates.find(c => c.shift === v.shift) || candidates[0];
+                if (target) withdrawals.set(`${target.date}|${target.employee}|${target.shift}`, target);
+            });
+            if (withdrawals.size === 0) break;
+            withdrawals.forEach(w => {
+                schedule[w.date] = schedule[w.date].filter(s => s.employee !== w.employee || s.shift !== w.shift);
+                if (schedule[w.date].length === 0) delete schedule[w.date];
+                withdrawn.push(w);
+            });
+            violations = ScheduleConflicts.collectViolations(schedule, conditions, options);
+            newConflicts = findNewConflicts(violations);
+        }
+        return { schedule, withdrawn, newConflicts, violations: [...violations.values()] };
+    };
+
+    window.ScheduleConflicts = ScheduleConflicts;
+
+})(window);
@@ -0,0 +1,79 @@
+/**
+ * @file schedule_conflicts.test.js
+ * @description 自動排班新衝突檢查與撤回的測試（以 node --test 執行）。
+ * schedule_conflicts.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+globalThis.RuleEngine = require('./scheduling_rules.js');
+require('./schedule_conflicts.js');
+const { ScheduleConflicts } = globalThis;
+
+// 2026 年 10 月（month 為 0-11）
+const OCTOBER = [{ year: 2026, month: 9 }];
+
+const octoberDates = (from, to) => {
+    const dates = [];
+    for (let day = from; day <= to; day++) dates.push(`2026-10-${String(day).padStart(2, '0')}`);
+    return dates;
+};
+
+test('collectViolations：跨月的違規在兩個月份都列出時合併為一筆', () => {
+    const scheduleData = {
+        '2026-10-31': [{ employee: 'a', shift: 'night' }],
+        '2026-11-01': [{ employee: 'a', shift: 'day' }],
+    };
+    const conditions = { employeeRules: [{ employee: 'a', type: 'noDirectShiftTransition', value: 1 }] };
+    const violations = ScheduleConflicts.collectViolations(scheduleData, conditions, { months: [{ year: 2026, month: 9 }, { year: 2026, month: 10 }] });
+    assert.equal(violations.size, 1);
+    assert.deepEqual([...violations.values()][0].dates, ['2026-10-31', '2026-11-01']);
+});
+
+test('listGenerated 只列出不在原有排班中的班次', () => {
+    const base = { '2026-10-05': [{ employee: 'a', shift: 'day' }] };
+    const scheduleData = { '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'day' }, { employee: 'a', shift: 'evening' }] };
+    assert.deepEqual(ScheduleConflicts.listGenerated(base, scheduleData, '2026-10-05'), [{ employee: 'b', shift: 'day' }, { employee: 'a', shift: 'evening' }]);
+    assert.deepEqual(ScheduleConflicts.listGenerated(base, scheduleData, '2026-10-06'), []);
+});
+
+test('連續上班超過上限時只撤回新排的班次，不修改傳入的排班', () => {
+    // 10/1 到 10/3 為原有的班次，10/4 到 10/6 為新排的班次，限制連續 4 天
+    const base = {};
+    octoberDates(1, 3).forEach(date => { base[date] = [{ employee: 'a', shift: 'day' }]; });
+    const schedule = { ...base };
+    octoberDates(4, 6).forEach(date => { schedule[date] = [{ employee: 'a', shift: 'day' }]; });
+    const snapshot = JSON.stringify(schedule);
+    const conditions = { employeeRules: [{ employee: 'a', type: 'maxConsecutiveWorkDays', value: 4 }] };
+
+    const result = ScheduleConflicts.withdrawNewConflicts({ before: base, base, schedule, dates: octoberDates(1, 31), conditions, options: { months: OCTOBER } });
+    assert.deepEqual(result.newConflicts, []);
+    assert.deepEqual(result.withdrawn.map(w => [w.date, w.employee, w.shift]), [['2026-10-05', 'a', 'day']]);
+    assert.deepEqual(Object.keys(result.schedule).sort(), [...octoberDates(1, 4), '2026-10-06']);
+    octoberDates(1, 3).forEach(date => assert.deepEqual(result.schedule[date], base[date]));
+    assert.equal(JSON.stringify(schedule), snapshot);
+});
+
+test('人數超過上限時撤回多排的人；人數不足無法以撤回改善，列為新衝突', () => {
+    // 排班前 10/5 有 c 的大夜，重新產生時移除；新排的白班多了一人
+    const before = { '2026-10-05': [{ employee: 'c', shift: 'night' }] };
+    const base = {};
+    const schedule = { '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'day' }] };
+    const conditions = {
+        shiftRules: [
+            { shift: 'day', type: 'maxStaff', value: 1 },
+            { shift: 'night', type: 'minStaff', value: 1 },
+        ],
+    };
+
+    const result = ScheduleConflicts.withdrawNewConflicts({ before, base, schedule, dates: ['2026-10-05'], conditions, options: { months: OCTOBER } });
+    assert.equal(result.withdrawn.length, 1);
+    assert.equal(result.withdrawn[0].shift, 'day');
+    assert.equal(result.schedule['2026-10-05'].length, 1);
+    assert.deepEqual(result.newConflicts.map(v => [v.ruleType, v.dates[0]]), [['minStaff', '2026-10-05']]);
+    assert.ok(result.violations.some(v => v.ruleType === 'minStaff' && v.dates[0] === '2026-10-06'));
+});
@@ -0,0 +1,155 @@
+/**
+ * @file schedule_draft.js
+ * @description 自動排班草稿與鎖定班次。
+ * 自動排班的結果先成為草稿，與目前的排班比較後列出新增、移除與變更的班次，確認後才寫入排班表；
+ * 鎖定的班次（{ employee, shift, locked: true }）在重新產生時保留，當天其餘的人力再由自動排班補滿；
+ * 重新產生可以只限定一段日期或部分員工，範圍外的日期與未選取員工的班次都不受影響。
+ * 本模組不操作畫面，也不直接讀寫 localStorage。須在 schedule_history.js 之後載入。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const ScheduleHistory = window.ScheduleHistory;
+
+    // 定義排班草稿物件
+    const ScheduleDraft = {};
+
+    // 休假是手動標記的安排，重新產生時不會移除
+    const OFF_SHIFT = 'off';
+
+    // --- 內部輔助函式 ---
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    function isInRange(date, startDate, endDate) {
+        return (!startDate || date >= startDate) && (!endDate || date <= endDate);
+    }
+
+    function countWorkShifts(codes) {
+        return codes ? codes.split(',').filter(code => code.replace(ScheduleHistory.LOCKED_SUFFIX, '') !== OFF_SHIFT).length : 0;
+    }
+
+    // --- 公開函式 ---
+
+    /**
+     * 班次是否已鎖定
+     * @param {object} assignment - { employee, shift, locked }
+     * @returns {boolean}
+     */
+    ScheduleDraft.isLocked = function(assignment) {
+        return assignment?.locked === true;
+    };
+
+    /**
+     * 鎖定或解除鎖定指定格子（員工某天）的所有班次（不修改傳入的排班資料）
+     * @param {object} scheduleData - 排班資料
+     * @param {Array<{employee: string, date: string}>} cells - 要變更的格子
+     * @param {boolean} locked - true 為鎖定，false 為解除鎖定
+     * @returns {{scheduleData: object, changed: number}} changed 為鎖定狀態有變動的班次數
+     */
+    ScheduleDraft.setLocked = function(scheduleData, cells, locked) {
+        const after = clone(scheduleData);
+        const targets = new Set(cells.map(({ employee, date }) => `${employee}|${date}`));
+        let changed = 0;
+        Object.entries(after).forEach(([date, shifts]) => {
+            shifts.forEach(s => {
+                if (!targets.has(`${s.employee}|${date}`) || ScheduleDraft.isLocked(s) === locked) return;
+                if (locked) s.locked = true;
+                else delete s.locked;
+                changed++;
+            });
+        });
+        return { scheduleData: after, changed };
+    };
+
+    /**
+     * 重新產生前的準備：移除日期範圍內指定員工未鎖定的班次（不修改傳入的排班資料）
+     * 鎖定的班次與休假保留；範圍外的日期與其他員工不受影響。
+     * @param {object} scheduleData - 排班資料
+     * @param {object} options - { startDate, endDate, employees }：startDate / endDate 為 YYYY-MM-DD（含頭尾），employees 為員工 id 陣列
+     * @returns {{scheduleData: object, removed: Array<{date, employee, shift}>}}
+     */
+    ScheduleDraft.clearUnlocked = function(scheduleData, options) {
+        const { startDate, endDate, employees } = options;
+        const targets = new Set(employees);
+        const after = clone(scheduleData);
+        const removed = [];
+        Object.keys(after).filter(date => isInRange(date, startDate, endDate)).forEach(date => {
+            after[date] = after[date].filter(s => {
+                if (!targets.has(s.employee) || s.shift === OFF_SHIFT || ScheduleDraft.isLocked(s)) return true;
+                removed.push({ date, employee: s.employee, shift: s.shift });
+                return false;
+            });
+            if (after[date].length === 0) delete after[date];
+        });
+        return { scheduleData: after, removed };
+    };
+
+    /**
+     * 清空日期範圍內所有未鎖定的班次（含休假，不修改傳入的排班資料）；鎖定的班次保留
+     * @param {object} scheduleData - 排班資料
+     * @param {object} options - { startDate, endDate }：YYYY-MM-DD（含頭尾）
+     * @returns {{scheduleData: object, removed: Array<{date, employee, shift}>, kept: number}} kept 為保留的鎖定班次數
+     */
+    ScheduleDraft.clearRange = function(scheduleData, options) {
+        const { startDate, endDate } = options;
+        const after = clone(scheduleData);
+        const removed = [];
+        let kept = 0;
+        Object.keys(after).filter(date => isInRange(date, startDate, endDate)).forEach(date => {
+            after[date] = after[date].filter(s => {
+                if (ScheduleDraft.isLocked(s)) {
+                    kept++;
+                    return true;
+                }
+                removed.push({ date, employee: s.employee, shift: s.shift });
+                return false;
+            });
+            if (after[date].length === 0) delete after[date];
+        });
+        return { scheduleData: after, removed, kept };
+    };
+
+    /**
+     * 比較草稿與目前的排班
+     * @param {object} before - 目前的排班資料
+     * @param {object} after - 草稿的排班資料
+     * @param {object} [options] - { startDate, endDate }：只比較這段日期
+     * @returns {{changes: Array<{date, employee, from, to, type}>, added: number, removed: number, changed: number, employees: object}}
+     * changes 同 ScheduleHistory.diffSchedules，type 為 added、removed 或 changed；added / removed 為新增與移除的班次數（不含休假），changed 為班次改變的格子數；
+     * employees[員工] 為 { before, after } 期間內的班數（不含休假）。
+     */
+    ScheduleDraft.compare = function(before, after, options = {}) {
+        const { startDate, endDate } = options;
+        const changes = ScheduleHistory.diffSchedules(before, after)
+            .filter(change => isInRange(change.date, startDate, endDate))
+            .map(change => ({ ...change, type: !change.from ? 'added' : !change.to ? 'removed' : 'changed' }));
+
+        const employees = {};
+        const count = (data, key) => Object.entries(data || {}).forEach(([date, shifts]) => {
+            if (!isInRange(date, startDate, endDate)) return;
+            shifts.forEach(s => {
+                if (s.shift === OFF_SHIFT) return;
+                if (!employees[s.employee]) employees[s.employee] = { before: 0, after: 0 };
+                employees[s.employee][key]++;
+            });
+        });
+        count(before, 'before');
+        count(after, 'after');
+
+        return {
+            changes,
+            added: changes.reduce((sum, c) => sum + Math.max(0, countWorkShifts(c.to) - countWorkShifts(c.from)), 0),
+            removed: changes.reduce((sum, c) => sum + Math.max(0, countWorkShifts(c.from) - countWorkShifts(c.to)), 0),
+            changed: changes.filter(c => c.type === 'changed').length,
+            employees,
+        };
+    };
+
+    window.ScheduleDraft = ScheduleDraft;
+
+})(window);
@@ -0,0 +1,45 @@
+/**
+ * @file schedule_draft.test.js
+ * @description 自動排班草稿與鎖定班次的測試（以 node --test 執行）。
+ * schedule_draft.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+require('./schedule_history.js');
+require('./schedule_draft.js');
+const { ScheduleDraft } = globalThis;
+
+const scheduleData = {
+    '2026-09-30': [{ employee: 'a', shift: 'day' }],
+    '2026-10-05': [{ employee: 'a', shift: 'night', locked: true }, { employee: 'b', shift: 'day' }, { employee: 'c', shift: 'off' }],
+    '2026-10-06': [{ employee: 'b', shift: 'evening' }],
+    '2026-10-07': [{ employee: 'c', shift: 'off', locked: true }],
+};
+
+test('重新產生前只移除指定員工未鎖定的班次，休假保留', () => {
+    const { scheduleData: after, removed } = ScheduleDraft.clearUnlocked(scheduleData, { startDate: '2026-10-01', endDate: '2026-10-31', employees: ['a', 'b', 'c'] });
+    assert.deepEqual(removed, [
+        { date: '2026-10-05', employee: 'b', shift: 'day' },
+        { date: '2026-10-06', employee: 'b', shift: 'evening' },
+    ]);
+    assert.deepEqual(after['2026-10-05'], [{ employee: 'a', shift: 'night', locked: true }, { employee: 'c', shift: 'off' }]);
+    assert.equal(after['2026-10-06'], undefined);
+});
+
+test('清空期間：未鎖定的班次與休假都移除，鎖定的班次保留', () => {
+    const { scheduleData: after, removed, kept } = ScheduleDraft.clearRange(scheduleData, { startDate: '2026-10-01', endDate: '2026-10-31' });
+    assert.deepEqual(after, {
+        '2026-09-30': [{ employee: 'a', shift: 'day' }],
+        '2026-10-05': [{ employee: 'a', shift: 'night', locked: true }],
+        '2026-10-07': [{ employee: 'c', shift: 'off', locked: true }],
+    });
+    assert.equal(removed.length, 3);
+    assert.equal(kept, 2);
+    // 不修改傳入的排班資料
+    assert.equal(scheduleData['2026-10-05'].length, 3);
+});
@@ -0,0 +1,170 @@
+/**
+ * @file schedule_export.js
+ * @description 排班匯出格式。
+ * toICS 依班次定義的實際上下班時間產生 iCalendar 行事曆（跨午夜的夜班結束於隔天早上），可匯入手機行事曆；
+ * toCSV 將表格資料轉為 Excel 可直接開啟的 CSV（UTF-8 BOM、CRLF）。
+ * 本模組不操作畫面，下載檔案由呼叫端處理。須在 scheduling_rules.js 之後載入。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const RuleEngine = window.RuleEngine;
+
+    // 定義匯出物件
+    const ScheduleExport = {};
+
+    // 行事曆時區：急診排班皆為台灣時間（無日光節約時間）
+    const TIMEZONE_ID = 'Asia/Taipei';
+    const VTIMEZONE_LINES = [
+        'BEGIN:VTIMEZONE',
+        `TZID:${TIMEZONE_ID}`,
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0800',
+        'TZOFFSETTO:+0800',
+        'TZNAME:CST',
+        'END:STANDARD',
+        'END:VTIMEZONE',
+    ];
+    const PRODUCT_ID = '-//shedule-in-ER//急診排班//ZH-TW';
+    const UID_DOMAIN = 'shedule-in-er';
+
+    // iCalendar 每行最多 75 個位元組，超過時折行
+    const MAX_LINE_OCTETS = 75;
+
+    // --- 內部輔助函式 ---
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    /**
+     * 當地時間 YYYYMMDDTHHMMSS（搭配 TZID 使用）
+     */
+    function formatLocalDateTime(date) {
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+    }
+
+    /**
+     * UTC 時間 YYYYMMDDTHHMMSSZ（DTSTAMP 使用）
+     */
+    function formatUtcDateTime(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * 跳脫 iCalendar 文字中的反斜線、分號、逗號與換行
+     */
+    function escapeText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    function getUtf8Length(char) {
+        const code = char.codePointAt(0);
+        if (code <= 0x7f) return 1;
+        if (code <= 0x7ff) return 2;
+        if (code <= 0xffff) return 3;
+        return 4;
+    }
+
+    /**
+     * 依位元組數折行（續行以一個空白開頭），不會切斷多位元組字元
+     */
+    function foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const length = getUtf8Length(char);
+            // 續行開頭的空白也算一個位元組
+            const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+            if (octets + length > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += length;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    function formatTime(date) {
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    // --- 公開函式 ---
+
+    /**
+     * 產生 iCalendar 行事曆
+     * @param {object} params - { scheduleData, shiftDefinitions, employees, employee, startDate, endDate, calendarName, now }
+     * employees 為員工資料陣列（顯示姓名）；employee 指定時只匯出該員工的班次，否則匯出所有人（標題含姓名）。
+     * startDate / endDate 為 YYYY-MM-DD（含頭尾），未指定時不限制。休假與找不到班次定義的班次不匯出。
+     * @returns {{content: string, eventCount: number}}
+     */
+    ScheduleExport.toICS = function(params) {
+        const { scheduleData, shiftDefinitions = RuleEngine.DEFAULT_SHIFT_DEFINITIONS, employees = [], employee = null, startDate, endDate, calendarName = '急診排班', now = new Date() } = params;
+        const names = Object.fromEntries(employees.map(e => [e.id, e.name]));
+        const stamp = formatUtcDateTime(now);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(calendarName)}`,
+            `X-WR-TIMEZONE:${TIMEZONE_ID}`,
+            ...VTIMEZONE_LINES,
+        ];
+        let eventCount = 0;
+
+        Object.keys(scheduleData || {})
+            .filter(date => (!startDate || date >= startDate) && (!endDate || date <= endDate))
+            .sort()
+            .forEach(date => {
+                scheduleData[date].forEach(s => {
+                    if (s.shift === 'off' || (employee && s.employee !== employee)) return;
+                    const interval = RuleEngine.getShiftInterval(date, s.shift, shiftDefinitions);
+                    if (!interval) return;
+                    const shiftName = shiftDefinitions[s.shift].name;
+                    const hours = RuleEngine.getShiftDurationHours(shiftDefinitions[s.shift]);
+                    const summary = employee ? shiftName : `${names[s.employee] || s.employee} ${shiftName}`;
+                    lines.push(
+                        'BEGIN:VEVENT',
+                        // 同一天同一人同一班次的 UID 固定，重新匯入時行事曆會更新而不是重複新增
+                        `UID:${date}-${s.employee}-${s.shift}@${UID_DOMAIN}`,
+                        `DTSTAMP:${stamp}`,
+                        `DTSTART;TZID=${TIMEZONE_ID}:${formatLocalDateTime(interval.start)}`,
+                        `DTEND;TZID=${TIMEZONE_ID}:${formatLocalDateTime(interval.end)}`,
+                        `SUMMARY:${escapeText(summary)}`,
+                        `DESCRIPTION:${escapeText(`${names[s.employee] || s.employee}：${shiftName} ${formatTime(interval.start)}-${formatTime(interval.end)}（${hours} 小時）`)}`,
+                        'TRANSP:OPAQUE',
+                        'END:VEVENT'
+                    );
+                    eventCount++;
+                });
+            });
+
+        lines.push('END:VCALENDAR');
+        return { content: lines.map(foldLine).join('\r\n') + '\r\n', eventCount };
+    };
+
+    /**
+     * 將二維陣列轉為 CSV（含 UTF-8 BOM，Excel 才能正確顯示中文）
+     * @param {Array<Array<string|number>>} rows - 表格資料，第一列通常為標題
+     * @returns {string}
+     */
+    ScheduleExport.toCSV = function(rows) {
+        const escapeCell = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+    };
+
+    window.ScheduleExport = ScheduleExport;
+
+})(window);
@@ -0,0 +1,67 @@
+/**
+ * @file schedule_export.test.js
+ * @description iCalendar 與 CSV 匯出的測試（以 node --test 執行）。
+ * schedule_export.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+globalThis.RuleEngine = require('./scheduling_rules.js');
+require('./schedule_export.js');
+const { ScheduleExport } = globalThis;
+
+const employees = [{ id: 'e1', name: '王小明' }, { id: 'e2', name: '李小華' }];
+const scheduleData = {
+    '2026-10-05': [{ employee: 'e1', shift: 'night' }, { employee: 'e2', shift: 'day' }],
+    '2026-10-06': [{ employee: 'e1', shift: 'off' }, { employee: 'e2', shift: 'unknown' }],
+    '2026-10-07': [{ employee: 'e1', shift: 'day' }],
+};
+const now = new Date(Date.UTC(2026, 9, 19, 8, 0, 0));
+
+/**
+ * 還原折行後逐行拆開
+ */
+const unfold = (content) => content.replace(/\r\n /g, '').split('\r\n');
+
+/**
+ * 取出所有 VEVENT 中指定欄位的值（略過 VTIMEZONE）
+ */
+const eventValues = (content, field) => {
+    const lines = unfold(content);
+    return lines.slice(lines.indexOf('END:VTIMEZONE'))
+        .filter(line => line.startsWith(`${field}:`) || line.startsWith(`${field};`))
+        .map(line => line.slice(line.indexOf(':') + 1));
+};
+
+test('大夜結束於隔天早上，休假與沒有定義的班次不匯出', () => {
+    const { content, eventCount } = ScheduleExport.toICS({ scheduleData, employees, now });
+    assert.equal(eventCount, 3);
+    assert.deepEqual(eventValues(content, 'DTSTART'), ['20261005T230000', '20261005T070000', '20261007T070000']);
+    assert.deepEqual(eventValues(content, 'DTEND'), ['20261006T070000', '20261005T150000', '20261007T150000']);
+    assert.deepEqual(eventValues(content, 'UID'), ['2026-10-05-e1-night@shedule-in-er', '2026-10-05-e2-day@shedule-in-er', '2026-10-07-e1-day@shedule-in-er']);
+    assert.deepEqual(eventValues(content, 'SUMMARY'), ['王小明 平日大夜', '李小華 平日白班', '王小明 平日白班']);
+    assert.ok(eventValues(content, 'DTSTAMP').every(stamp => stamp === '20261019T080000Z'));
+    assert.ok(content.startsWith('BEGIN:VCALENDAR\r\n'));
+    assert.ok(content.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('指定員工與日期範圍', () => {
+    const { content, eventCount } = ScheduleExport.toICS({ scheduleData, employees, employee: 'e1', startDate: '2026-10-06', endDate: '2026-10-31', now });
+    assert.equal(eventCount, 1);
+    assert.deepEqual(eventValues(content, 'SUMMARY'), ['平日白班']);
+});
+
+test('每行不超過 75 個位元組，折行不切斷中文字', () => {
+    const { content } = ScheduleExport.toICS({ scheduleData, employees, calendarName: '急診排班'.repeat(10), now });
+    content.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    assert.ok(unfold(content).includes(`X-WR-CALNAME:${'急診排班'.repeat(10)}`));
+});
+
+test('CSV 含 BOM、以 CRLF 分行，並跳脫逗號、引號與換行', () => {
+    const csv = ScheduleExport.toCSV([['姓名', '備註'], ['王小明', 'a,b'], ['李小華', '說 "好"'], ['陳', '兩\n行'], [null, 0]]);
+    assert.equal(csv, '﻿姓名,備註\r\n王小明,"a,b"\r\n李小華,"說 ""好"""\r\n陳,"兩\n行"\r\n,0\r\n');
+});
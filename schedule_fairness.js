@@ -0,0 +1,188 @@
+/**
+ * @file schedule_fairness.js
+ * @description 公平性帳本。
+ * 依日期類型（平日、週末、假日）與班次分類（白班、小夜、夜班、其他）給每個班次不同的點數（如假日夜班 3 點、平日小夜 1.5 點），
+ * 統計最近幾個月（滾動期間）每位員工累積的點數；應得點數依員工的 FTE 與期間內的在職天數按比例分配全部點數，
+ * 新進與兼職人員只需負擔相對應的份量。累積點數與應得點數的差額即為員工的公平性差額，自動排班優先排給差額較低的人。
+ * 本模組不操作畫面，也不直接讀寫 localStorage。須在 scheduling_rules.js 之後載入。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const RuleEngine = window.RuleEngine;
+
+    // 定義公平性帳本物件
+    const ScheduleFairness = {};
+
+    // 休假不是班次定義中的班次，不計點數
+    const OFF_SHIFT = 'off';
+
+    ScheduleFairness.DAY_TYPES = ['weekday', 'weekend', 'holiday'];
+    ScheduleFairness.CATEGORIES = ['day', 'evening', 'night', 'other'];
+
+    // 滾動期間最多幾個月、每班最多幾點
+    ScheduleFairness.MAX_WINDOW_MONTHS = 12;
+    ScheduleFairness.MAX_POINTS = 10;
+
+    // FTE（全職為 1）的下限；沒有設定時視為全職
+    ScheduleFairness.MIN_FTE = 0.1;
+
+    /**
+     * 預設設定：統計最近 3 個月（含本月），weights[日期類型][班次分類] 為每班的點數
+     */
+    ScheduleFairness.DEFAULT_SETTINGS = {
+        windowMonths: 3,
+        weights: {
+            weekday: { day: 1, evening: 1.5, night: 2, other: 1 },
+            weekend: { day: 1.5, evening: 2, night: 2.5, other: 1.5 },
+            holiday: { day: 2, evening: 2.5, night: 3, other: 2 },
+        },
+    };
+
+    // --- 內部輔助函式 ---
+
+    function parseDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    function formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    function addDays(dateStr, days) {
+        const date = parseDate(dateStr);
+        date.setDate(date.getDate() + days);
+        return formatDate(date);
+    }
+
+    /**
+     * 從 fromDate 到 toDate（含頭尾）的天數，fromDate 晚於 toDate 時為 0
+     */
+    function countDays(fromDate, toDate) {
+        if (fromDate > toDate) return 0;
+        const [fy, fm, fd] = fromDate.split('-').map(Number);
+        const [ty, tm, td] = toDate.split('-').map(Number);
+        return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000) + 1;
+    }
+
+    function isValidPoints(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= ScheduleFairness.MAX_POINTS;
+    }
+
+    // --- 公開函式 ---
+
+    /**
+     * 檢查公平性設定
+     * @param {object} settings - { windowMonths, weights }
+     * @returns {?string} 錯誤訊息，沒有問題時為 null
+     */
+    ScheduleFairness.validateSettings = function(settings) {
+        if (!settings || typeof settings !== 'object') return '公平性設定格式錯誤';
+        if (!Number.isInteger(settings.windowMonths) || settings.windowMonths < 1 || settings.windowMonths > ScheduleFairness.MAX_WINDOW_MONTHS) {
+            return `統計期間須為 1 到 ${ScheduleFairness.MAX_WINDOW_MONTHS} 個月`;
+        }
+        if (!settings.weights || typeof settings.weights !== 'object') return '缺少班次點數';
+        for (const dayType of ScheduleFairness.DAY_TYPES) {
+            for (const category of ScheduleFairness.CATEGORIES) {
+                if (!isValidPoints(settings.weights[dayType]?.[category])) return `班次點數須為 0 到 ${ScheduleFairness.MAX_POINTS} 之間的數字`;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * 員工的 FTE（全職為 1），沒有設定或數值無效時視為全職
+     * @param {object} employee - 員工資料
+     * @returns {number}
+     */
+    ScheduleFairness.getFte = function(employee) {
+        const fte = employee?.fte;
+        return typeof fte === 'number' && fte >= ScheduleFairness.MIN_FTE && fte <= 1 ? fte : 1;
+    };
+
+    /**
+     * 某個班次的點數
+     * @param {string} shift - 班次代碼
+     * @param {string} dateStr - 日期 YYYY-MM-DD
+     * @param {object} context - { settings, holidayDates, shiftDefinitions }
+     * @returns {number} 休假為 0
+     */
+    ScheduleFairness.getShiftPoints = function(shift, dateStr, context) {
+        if (shift === OFF_SHIFT) return 0;
+        const { settings = ScheduleFairness.DEFAULT_SETTINGS, holidayDates = {}, shiftDefinitions = RuleEngine.DEFAULT_SHIFT_DEFINITIONS } = context;
+        const dayType = RuleEngine.getDayType(dateStr, holidayDates);
+        const category = RuleEngine.getShiftCategory(shift, shiftDefinitions);
+        return settings.weights[dayType]?.[category] ?? 0;
+    };
+
+    /**
+     * 滾動期間：以 endDate 所在月份為最後一個月，往前共 windowMonths 個月
+     * @param {string} endDate - 期間最後一天 YYYY-MM-DD
+     * @param {number} windowMonths - 月數
+     * @returns {{startDate: string, endDate: string}}
+     */
+    ScheduleFairness.getWindow = function(endDate, windowMonths) {
+        const end = parseDate(endDate);
+        return { startDate: formatDate(new Date(end.getFullYear(), end.getMonth() - windowMonths + 1, 1)), endDate };
+    };
+
+    /**
+     * 統計期間實際的第一天：期間開頭還沒有任何排班時（如剛開始使用本程式），從第一筆排班的日期起算，
+     * 避免期間中途到職的員工因前段沒有資料而被低估應負擔的份量
+     * @param {object} scheduleData - 排班資料
+     * @param {string} startDate - 統計期間的第一天 YYYY-MM-DD
+     * @param {string} latestStart - 實際第一天最晚的日期（如自動排班的第一天）
+     * @returns {string} YYYY-MM-DD
+     */
+    ScheduleFairness.getEffectiveStart = function(scheduleData, startDate, latestStart) {
+        const firstDate = Object.keys(scheduleData || {})
+            .filter(date => date >= startDate && date < latestStart && scheduleData[date].some(s => s.shift !== OFF_SHIFT))
+            .sort()[0];
+        return firstDate || latestStart;
+    };
+
+    /**
+     * 統計期間內每位員工的點數與公平性差額
+     * @param {object} params - { scheduleData, employees, startDate, endDate, settings, holidayDates, shiftDefinitions }
+     * employees 為員工資料陣列（含 fte 與 hireDate）；startDate / endDate 為 YYYY-MM-DD（含頭尾）。
+     * @returns {{startDate: string, endDate: string, totalPoints: number, rows: object}}
+     * rows[員工] 為 { shifts, points, fte, activeDays, capacity, expected, balance, scale }：
+     * capacity = FTE × 在職天數，expected 為依 capacity 比例分到的點數，balance = points - expected（正數表示負擔較多）；
+     * scale 為換算成平均份量的倍數（points × scale 可與其他員工直接比較），在職天數為 0 時至少以 1 天計算。
+     */
+    ScheduleFairness.buildLedger = function(params) {
+        const { scheduleData = {}, employees = [], startDate, endDate, settings = ScheduleFairness.DEFAULT_SETTINGS, holidayDates = {}, shiftDefinitions = RuleEngine.DEFAULT_SHIFT_DEFINITIONS } = params;
+        const rows = {};
+        employees.forEach(employee => {
+            const fte = ScheduleFairness.getFte(employee);
+            const activeFrom = employee.hireDate && employee.hireDate > startDate ? employee.hireDate : startDate;
+            const activeDays = countDays(activeFrom, endDate);
+            rows[employee.id] = { shifts: 0, points: 0, fte, activeDays, capacity: fte * Math.max(activeDays, 1), expected: 0, balance: 0, scale: 1 };
+        });
+
+        for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+            (scheduleData[date] || []).forEach(s => {
+                const row = rows[s.employee];
+                if (!row || s.shift === OFF_SHIFT) return;
+                row.shifts++;
+                row.points += ScheduleFairness.getShiftPoints(s.shift, date, { settings, holidayDates, shiftDefinitions });
+            });
+        }
+
+        const list = Object.values(rows);
+        const totalPoints = list.reduce((sum, row) => sum + row.points, 0);
+        const totalCapacity = list.reduce((sum, row) => sum + row.capacity, 0);
+        list.forEach(row => {
+            row.expected = totalCapacity > 0 ? totalPoints * row.capacity / totalCapacity : 0;
+            row.balance = row.points - row.expected;
+            row.scale = totalCapacity > 0 ? totalCapacity / list.length / row.capacity : 1;
+        });
+        return { startDate, endDate, totalPoints, rows };
+    };
+
+    window.ScheduleFairness = ScheduleFairness;
+
+})(window);
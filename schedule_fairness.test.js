@@ -0,0 +1,87 @@
+/**
+ * @file schedule_fairness.test.js
+ * @description 公平性帳本的測試（以 node --test 執行）。
+ * schedule_fairness.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+globalThis.RuleEngine = require('./scheduling_rules.js');
+require('./schedule_fairness.js');
+const { ScheduleFairness } = globalThis;
+
+test('班次點數依日期類型與班次分類', () => {
+    const holidayDates = { '2026-10-09': { type: 'holiday', name: '' }, '2026-10-17': { type: 'workday', name: '補班' } };
+    const points = (shift, date) => ScheduleFairness.getShiftPoints(shift, date, { holidayDates });
+    // 2026-10-05 為週一、2026-10-10 為週六
+    assert.equal(points('day', '2026-10-05'), 1);
+    assert.equal(points('evening', '2026-10-05'), 1.5);
+    assert.equal(points('weekend-night', '2026-10-10'), 2.5);
+    assert.equal(points('night', '2026-10-09'), 3);
+    assert.equal(points('night', '2026-10-17'), 2);
+    assert.equal(points('off', '2026-10-09'), 0);
+});
+
+test('FTE 沒有設定或無效時視為全職', () => {
+    assert.equal(ScheduleFairness.getFte({ fte: 0.5 }), 0.5);
+    assert.equal(ScheduleFairness.getFte({}), 1);
+    assert.equal(ScheduleFairness.getFte({ fte: 0 }), 1);
+    assert.equal(ScheduleFairness.getFte({ fte: 1.5 }), 1);
+    assert.equal(ScheduleFairness.getFte(null), 1);
+});
+
+test('應得點數依 FTE 與在職天數按比例分配', () => {
+    // 10 月 31 天：a 全職、b 半職、c 10/17 到職（在職 15 天）
+    const employees = [
+        { id: 'a', fte: 1, hireDate: '' },
+        { id: 'b', fte: 0.5, hireDate: '' },
+        { id: 'c', fte: 1, hireDate: '2026-10-17' },
+    ];
+    const scheduleData = {
+        '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'day' }, { employee: 'c', shift: 'off' }],
+        '2026-10-06': [{ employee: 'a', shift: 'night' }],
+        '2026-10-30': [{ employee: 'c', shift: 'evening' }, { employee: 'x', shift: 'night' }],
+    };
+    const ledger = ScheduleFairness.buildLedger({ scheduleData, employees, startDate: '2026-10-01', endDate: '2026-10-31' });
+    assert.equal(ledger.totalPoints, 5.5);
+
+    const { a, b, c } = ledger.rows;
+    assert.deepEqual([a.shifts, a.points, a.activeDays, a.capacity], [2, 3, 31, 31]);
+    assert.deepEqual([b.shifts, b.points, b.activeDays, b.capacity], [1, 1, 31, 15.5]);
+    assert.deepEqual([c.shifts, c.points, c.activeDays, c.capacity], [1, 1.5, 15, 15]);
+
+    const totalCapacity = 31 + 15.5 + 15;
+    assert.equal(a.expected, 5.5 * 31 / totalCapacity);
+    assert.equal(b.expected, 5.5 * 15.5 / totalCapacity);
+    assert.equal(a.balance, 3 - a.expected);
+    // 半職與新進人員換算成平均份量時倍數較大
+    assert.equal(b.scale, totalCapacity / 3 / 15.5);
+    assert.ok(b.scale > a.scale);
+    assert.equal(c.scale, totalCapacity / 3 / 15);
+});
+
+test('滾動期間與實際的第一天', () => {
+    assert.deepEqual(ScheduleFairness.getWindow('2026-10-31', 3), { startDate: '2026-08-01', endDate: '2026-10-31' });
+    assert.deepEqual(ScheduleFairness.getWindow('2027-01-15', 2), { startDate: '2026-12-01', endDate: '2027-01-15' });
+
+    const scheduleData = {
+        '2026-08-20': [{ employee: 'a', shift: 'off' }],
+        '2026-09-03': [{ employee: 'a', shift: 'day' }],
+    };
+    assert.equal(ScheduleFairness.getEffectiveStart(scheduleData, '2026-08-01', '2026-10-01'), '2026-09-03');
+    assert.equal(ScheduleFairness.getEffectiveStart({}, '2026-08-01', '2026-10-01'), '2026-10-01');
+});
+
+test('validateSettings 檢查統計期間與每一種班次點數', () => {
+    const settings = ScheduleFairness.DEFAULT_SETTINGS;
+    assert.equal(ScheduleFairness.validateSettings(settings), null);
+    assert.equal(ScheduleFairness.validateSettings({ ...settings, windowMonths: 13 }), '統計期間須為 1 到 12 個月');
+    assert.equal(ScheduleFairness.validateSettings({ ...settings, weights: undefined }), '缺少班次點數');
+    const weights = { ...settings.weights, holiday: { ...settings.weights.holiday, night: 11 } };
+    assert.equal(ScheduleFairness.validateSettings({ ...settings, weights }), '班次點數須為 0 到 10 之間的數字');
+    assert.equal(ScheduleFairness.validateSettings(null), '公平性設定格式錯誤');
+});
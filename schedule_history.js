@@ -0,0 +1,167 @@
+/**
+ * @file schedule_history.js
+ * @description 復原/重做與變更紀錄。
+ * 每次可復原的操作記錄修改前後的資料快照，復原時只還原該操作實際改到的部分；
+ * 變更紀錄則把快照差異展開成逐筆的異動（哪一天、哪位員工、從什麼班改成什麼班）。
+ * 本模組不操作畫面，也不直接讀寫 localStorage，快照內容由呼叫端決定。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    // 定義變更紀錄物件
+    const ScheduleHistory = {};
+
+    // 預設最多可復原的步數
+    const DEFAULT_HISTORY_LIMIT = 50;
+
+    // 變更紀錄最多保留的筆數（超過時捨棄最舊的紀錄）
+    ScheduleHistory.MAX_AUDIT_ENTRIES = 5000;
+
+    // 鎖定的班次在差異中的代碼加上此後綴（如 'day:locked'），鎖定或解除鎖定也會列為異動
+    ScheduleHistory.LOCKED_SUFFIX = ':locked';
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * 將某天的排班整理為 { 員工: 'day,night' }（同一員工多個班次以逗號串接）
+     */
+    function groupShiftsByEmployee(shifts) {
+        const grouped = {};
+        (shifts || []).forEach(s => {
+            if (!grouped[s.employee]) grouped[s.employee] = [];
+            grouped[s.employee].push(s.locked ? `${s.shift}${ScheduleHistory.LOCKED_SUFFIX}` : s.shift);
+        });
+        Object.keys(grouped).forEach(employee => { grouped[employee] = grouped[employee].sort().join(','); });
+        return grouped;
+    }
+
+    /**
+     * 員工資料陣列轉為 { id: 員工資料 }
+     */
+    function indexEmployees(employees) {
+        return Object.fromEntries((employees || []).map(e => [e.id, e]));
+    }
+
+    function isSame(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // --- 公開函式 ---
+
+    /**
+     * 列出快照中內容有變動的欄位
+     * @param {object} before - 修改前的快照
+     * @param {object} after - 修改後的快照
+     * @returns {string[]} 欄位名稱（如 scheduleData、employees）
+     */
+    ScheduleHistory.changedKeys = function(before, after) {
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        return [...keys].filter(key => !isSame(before?.[key], after?.[key]));
+    };
+
+    /**
+     * 比較兩份排班資料，列出每一天每位員工的班次異動
+     * @param {object} before - 修改前的排班資料 { 'YYYY-MM-DD': [{ employee, shift }] }
+     * @param {object} after - 修改後的排班資料
+     * @returns {Array<{date: string, employee: string, from: ?string, to: ?string}>} from/to 為班次代碼（鎖定的班次加上 LOCKED_SUFFIX），沒有排班時為 null，依日期排序
+     */
+    ScheduleHistory.diffSchedules = function(before, after) {
+        const changes = [];
+        const dates = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+        dates.forEach(date => {
+            const from = groupShiftsByEmployee(before?.[date]);
+            const to = groupShiftsByEmployee(after?.[date]);
+            const employeesOnDate = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+            employeesOnDate.forEach(employee => {
+                if (from[employee] === to[employee]) return;
+                changes.push({ date, employee, from: from[employee] || null, to: to[employee] || null });
+            });
+        });
+        return changes;
+    };
+
+    /**
+     * 將一次操作前後的快照展開為變更紀錄
+     * @param {object} params - { action, user, time, before, after }，快照可含 scheduleData、employees、employeeAvailability 及其他欄位
+     * @returns {Array<object>} 紀錄 { time, user, action, target, date, employee, employeeName, from, to }
+     * target 為 scheduleData（from/to 為班次代碼）、employees（from/to 為姓名，新增或刪除時一邊為 null）、
+     * employeeAvailability、availabilityPatterns（每位設定有變動的員工一筆）、holidayDates（每個變動的日期一筆，from/to 為假日設定 { type, name } 或 null）
+     * 或其他欄位名稱（整個欄位一筆）。
+     */
+    ScheduleHistory.createAuditEntries = function(params) {
+        const { action, user = '', time = new Date().toISOString(), before = {}, after = {} } = params;
+        const beforeEmployees = indexEmployees(before.employees);
+        const afterEmployees = indexEmployees(after.employees);
+        const nameOf = (id) => afterEmployees[id]?.name || beforeEmployees[id]?.name || id;
+        const entry = (fields) => ({ time, user, action, target: null, date: null, employee: null, employeeName: null, from: null, to: null, ...fields });
+        const entries = [];
+
+        ScheduleHistory.changedKeys(before, after).forEach(key => {
+            if (key === 'scheduleData') {
+                ScheduleHistory.diffSchedules(before.scheduleData, after.scheduleData).forEach(change => {
+                    entries.push(entry({ target: key, ...change, employeeName: nameOf(change.employee) }));
+                });
+            } else if (key === 'employees') {
+                const ids = [...new Set([...Object.keys(beforeEmployees), ...Object.keys(afterEmployees)])];
+                ids.filter(id => !isSame(beforeEmployees[id], afterEmployees[id])).forEach(id => {
+                    entries.push(entry({ target: key, employee: id, employeeName: nameOf(id), from: beforeEmployees[id]?.name || null, to: afterEmployees[id]?.name || null }));
+                });
+            } else if (key === 'holidayDates') {
+                const dates = [...new Set([...Object.keys(before.holidayDates || {}), ...Object.keys(after.holidayDates || {})])].sort();
+                dates.filter(date => !isSame(before.holidayDates?.[date], after.holidayDates?.[date])).forEach(date => {
+                    entries.push(entry({ target: key, date, from: before.holidayDates?.[date] || null, to: after.holidayDates?.[date] || null }));
+                });
+            } else if (key === 'employeeAvailability' || key === 'availabilityPatterns') {
+                const ids = [...new Set([...Object.keys(before[key] || {}), ...Object.keys(after[key] || {})])];
+                ids.filter(id => !isSame(before[key]?.[id], after[key]?.[id])).forEach(id => {
+                    entries.push(entry({ target: key, employee: id, employeeName: nameOf(id) }));
+                });
+            } else {
+                entries.push(entry({ target: key }));
+            }
+        });
+        return entries;
+    };
+
+    /**
+     * 建立復原/重做堆疊
+     * @param {number} [limit] - 最多可復原的步數
+     * @returns {object} { record, undo, redo, canUndo, canRedo, peekUndo, peekRedo, clear }
+     * 每一步為 { action, time, before, after }；undo 回傳要還原的那一步（呼叫端套用 before），redo 回傳要重做的那一步（套用 after）。
+     */
+    ScheduleHistory.createHistory = function(limit = DEFAULT_HISTORY_LIMIT) {
+        const undoStack = [];
+        const redoStack = [];
+
+        return {
+            record(action, before, after) {
+                undoStack.push({ action, time: new Date().toISOString(), before, after });
+                if (undoStack.length > limit) undoStack.shift();
+                redoStack.length = 0;
+            },
+            undo() {
+                const step = undoStack.pop();
+                if (step) redoStack.push(step);
+                return step || null;
+            },
+            redo() {
+                const step = redoStack.pop();
+                if (step) undoStack.push(step);
+                return step || null;
+            },
+            canUndo: () => undoStack.length > 0,
+            canRedo: () => redoStack.length > 0,
+            peekUndo: () => undoStack[undoStack.length - 1] || null,
+            peekRedo: () => redoStack[redoStack.length - 1] || null,
+            clear() {
+                undoStack.length = 0;
+                redoStack.length = 0;
+            },
+        };
+    };
+
+    window.ScheduleHistory = ScheduleHistory;
+
+})(window);
@@ -0,0 +1,79 @@
+/**
+ * @file schedule_history.test.js
+ * @description 復原/重做與變更紀錄的測試（以 node --test 執行）。
+ * schedule_history.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+require('./schedule_history.js');
+const { ScheduleHistory } = globalThis;
+
+test('diffSchedules 列出每一天每位員工的班次異動', () => {
+    const before = {
+        '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'night' }],
+        '2026-10-06': [{ employee: 'a', shift: 'evening' }],
+    };
+    const after = {
+        '2026-10-05': [{ employee: 'b', shift: 'night' }, { employee: 'a', shift: 'evening' }],
+        '2026-10-07': [{ employee: 'c', shift: 'day' }],
+    };
+    assert.deepEqual(ScheduleHistory.diffSchedules(before, after), [
+        { date: '2026-10-05', employee: 'a', from: 'day', to: 'evening' },
+        { date: '2026-10-06', employee: 'a', from: 'evening', to: null },
+        { date: '2026-10-07', employee: 'c', from: null, to: 'day' },
+    ]);
+    assert.deepEqual(ScheduleHistory.diffSchedules(before, JSON.parse(JSON.stringify(before))), []);
+});
+
+test('createAuditEntries 依欄位展開變更紀錄', () => {
+    const entries = ScheduleHistory.createAuditEntries({
+        action: '編輯員工',
+        user: '護理長',
+        time: '2026-10-19T08:00:00.000Z',
+        before: {
+            scheduleData: { '2026-10-05': [{ employee: 'e1', shift: 'day' }] },
+            employees: [{ id: 'e1', name: '王小明' }],
+            employeeAvailability: {},
+            shiftDefinitions: { day: { name: '白班' } },
+        },
+        after: {
+            scheduleData: {},
+            employees: [{ id: 'e1', name: '王大明' }, { id: 'e2', name: '李小華' }],
+            employeeAvailability: { e2: { '2026-10-06': { all: 'preferOff' } } },
+            shiftDefinitions: { day: { name: '白班' } },
+        },
+    });
+    const common = { time: '2026-10-19T08:00:00.000Z', user: '護理長', action: '編輯員工' };
+    assert.deepEqual(entries, [
+        { ...common, target: 'scheduleData', date: '2026-10-05', employee: 'e1', employeeName: '王大明', from: 'day', to: null },
+        { ...common, target: 'employees', date: null, employee: 'e1', employeeName: '王大明', from: '王小明', to: '王大明' },
+        { ...common, target: 'employees', date: null, employee: 'e2', employeeName: '李小華', from: null, to: '李小華' },
+        { ...common, target: 'employeeAvailability', date: null, employee: 'e2', employeeName: '李小華', from: null, to: null },
+    ]);
+});
+
+test('復原/重做堆疊：新的操作清除重做，超過上限捨棄最舊的一步', () => {
+    const history = ScheduleHistory.createHistory(2);
+    assert.equal(history.canUndo(), false);
+    history.record('一', 0, 1);
+    history.record('二', 1, 2);
+    history.record('三', 2, 3);
+
+    assert.equal(history.undo().action, '三');
+    assert.equal(history.canRedo(), true);
+    assert.equal(history.peekRedo().action, '三');
+    assert.equal(history.undo().action, '二');
+    assert.equal(history.undo(), null);
+    assert.equal(history.redo().after, 2);
+
+    history.record('四', 2, 4);
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.peekUndo().action, '四');
+    history.clear();
+    assert.equal(history.canUndo(), false);
+});
@@ -0,0 +1,264 @@
+/**
+ * @file schedule_holidays.js
+ * @description 匯入假日行事曆。
+ * 解析 iCalendar（.ics）或 JSON 格式的國定假日清單，轉為 holidayDates 的假日設定 { 日期: { type, name } }；
+ * 名稱含「補班」「補行上班」的日期，或 JSON 中週末標記為上班的日期視為補班日（週末改為平日班）。
+ * JSON 可以是政府資料開放平臺的辦公日曆表（西元日期、是否放假、備註）、{ date, name, type } 陣列、{ 日期: 名稱 } 物件，
+ * 或本程式匯出的資料檔（取其中的 holidayDates）。
+ * 本模組不操作畫面，也不直接讀寫 localStorage。須在 scheduling_rules.js 之後載入。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const RuleEngine = window.RuleEngine;
+
+    // 定義假日匯入物件
+    const ScheduleHolidays = {};
+
+    // 名稱符合時視為補班日
+    const WORKDAY_PATTERN = /補班|補行上班|調整上班/;
+
+    // JSON 物件中可能代表日期、名稱與是否放假的欄位
+    const DATE_FIELDS = ['date', '西元日期', '日期'];
+    const NAME_FIELDS = ['name', 'description', 'summary', 'holiday', '備註', '名稱', '假日名稱'];
+    const FLAG_FIELDS = ['isHoliday', '是否放假', '放假'];
+    const HOLIDAY_FLAG_VALUES = [true, 'true', 2, '2', '是', 'Y', 'y'];
+
+    // 單一事件最多展開的天數（避免格式錯誤的檔案產生大量日期）
+    const MAX_EVENT_DAYS = 31;
+
+    // --- 內部輔助函式 ---
+
+    function parseDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    function formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    function addDays(dateStr, days) {
+        const date = parseDate(dateStr);
+        date.setDate(date.getDate() + days);
+        return formatDate(date);
+    }
+
+    function isWeekendDate(dateStr) {
+        const day = parseDate(dateStr).getDay();
+        return day === 0 || day === 6;
+    }
+
+    /**
+     * 將 YYYY-MM-DD、YYYYMMDD 或 YYYY/M/D 轉為 YYYY-MM-DD，無法辨識或日期不存在時回傳 null
+     */
+    function normalizeDate(value) {
+        const match = /^(\d{4})[-/]?(\d{1,2})[-/]?(\d{1,2})$/.exec(String(value ?? '').trim());
+        if (!match || (!/[-/]/.test(value) && String(value).trim().length !== 8)) return null;
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+        return formatDate(date);
+    }
+
+    function pickField(item, fields) {
+        const key = fields.find(field => item[field] !== undefined && item[field] !== null);
+        return key === undefined ? undefined : item[key];
+    }
+
+    function createEntry(name) {
+        const trimmed = String(name || '').trim();
+        return { type: WORKDAY_PATTERN.test(trimmed) ? 'workday' : 'holiday', name: trimmed };
+    }
+
+    function unescapeIcsText(text) {
+        return text.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+    }
+
+    /**
+     * JSON 陣列中的一筆資料轉為假日設定
+     * @returns {{date: ?string, entry: ?object}} date 為 null 表示日期無法辨識；entry 為 null 表示不是假日也不是補班（如一般週末）
+     */
+    function parseJsonItem(item) {
+        if (typeof item === 'string') {
+            const date = normalizeDate(item);
+            return { date, entry: date ? { type: 'holiday', name: '' } : null };
+        }
+        if (!item || typeof item !== 'object') return { date: null, entry: null };
+
+        const date = normalizeDate(pickField(item, DATE_FIELDS));
+        if (!date) return { date: null, entry: null };
+        const name = String(pickField(item, NAME_FIELDS) ?? '').trim();
+        if (RuleEngine.HOLIDAY_TYPES.includes(item.type)) return { date, entry: { type: item.type, name } };
+
+        const flag = pickField(item, FLAG_FIELDS);
+        if (flag === undefined) return { date, entry: createEntry(name) };
+        // 辦公日曆表列出整年的每一天：只取有名稱或落在平日的放假日，以及週末的上班日（補班）
+        const isDayOff = HOLIDAY_FLAG_VALUES.includes(flag);
+        if (isDayOff && (name || !isWeekendDate(date))) return { date, entry: { type: 'holiday', name } };
+        if (!isDayOff && isWeekendDate(date)) return { date, entry: { type: 'workday', name } };
+        return { date, entry: null };
+    }
+
+    // --- 公開函式 ---
+
+    /**
+     * 假日設定的顯示文字，如「國慶日」「假日」「補班」
+     * @param {?object} entry - RuleEngine.getHolidayEntry 的結果
+     * @returns {string} 沒有設定時為空字串
+     */
+    ScheduleHolidays.describe = function(entry) {
+        if (!entry) return '';
+        if (entry.type === 'workday') return entry.name && entry.name !== '補班' ? `補班（${entry.name}）` : '補班';
+        return entry.name || '假日';
+    };
+
+    /**
+     * 解析 iCalendar 檔案：每個 VEVENT 的 DTSTART 到 DTEND（不含）為假日，SUMMARY 為名稱
+     * @param {string} text - 檔案內容
+     * @returns {{entries: object, errors: string[]}} entries 為 { 日期: { type, name } }
+     */
+    ScheduleHolidays.parseICS = function(text) {
+        const entries = {};
+        const errors = [];
+        const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+            return { entries, errors: ['不是有效的 iCalendar 檔案'] };
+        }
+
+        let event = null;
+        let eventCount = 0;
+        lines.forEach(line => {
+            const upper = line.trim().toUpperCase();
+            if (upper === 'BEGIN:VEVENT') {
+                event = {};
+                eventCount++;
+                return;
+            }
+            if (!event) return;
+            if (upper === 'END:VEVENT') {
+                const startDate = normalizeDate((event.DTSTART || '').slice(0, 8));
+                if (!startDate) {
+                    errors.push(`第 ${eventCount} 個事件沒有有效的日期，已略過`);
+                } else {
+                    // 整天事件的 DTEND 為結束的隔天；有時間的事件以結束時間當天為止
+                    const endValue = event.DTEND || '';
+                    const endDate = normalizeDate(endValue.slice(0, 8));
+                    const lastDate = !endDate || endDate <= startDate ? startDate : (endValue.length === 8 ? addDays(endDate, -1) : endDate);
+                    const entry = createEntry(unescapeIcsText(event.SUMMARY || ''));
+                    let days = 0;
+                    for (let date = startDate; date <= lastDate && days < MAX_EVENT_DAYS; date = addDays(date, 1), days++) {
+                        entries[date] = { ...entry };
+                    }
+                    if (days === MAX_EVENT_DAYS && addDays(startDate, MAX_EVENT_DAYS) <= lastDate) {
+                        errors.push(`第 ${eventCount} 個事件「${entry.name}」超過 ${MAX_EVENT_DAYS} 天，只匯入前 ${MAX_EVENT_DAYS} 天`);
+                    }
+                }
+                event = null;
+                return;
+            }
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+            const property = line.slice(0, separator).split(';')[0].trim().toUpperCase();
+            if (['DTSTART', 'DTEND', 'SUMMARY'].includes(property)) event[property] = line.slice(separator + 1).trim();
+        });
+
+        if (eventCount === 0) errors.push('檔案中沒有任何事件');
+        return { entries, errors };
+    };
+
+    /**
+     * 解析 JSON 假日清單（支援的格式見檔案說明）
+     * @param {string} text - 檔案內容
+     * @returns {{entries: object, errors: string[]}} entries 為 { 日期: { type, name } }
+     */
+    ScheduleHolidays.parseJSON = function(text) {
+        const entries = {};
+        const errors = [];
+        let data;
+        try {
+            data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            return { entries, errors: ['不是有效的 JSON 檔案'] };
+        }
+
+        if (data && !Array.isArray(data) && typeof data === 'object' && data.holidayDates && typeof data.holidayDates === 'object') {
+            data = data.holidayDates;
+        }
+
+        if (Array.isArray(data)) {
+            data.forEach((item, index) => {
+                const { date, entry } = parseJsonItem(item);
+                if (!date) errors.push(`第 ${index + 1} 筆資料的日期無法辨識，已略過`);
+                else if (entry) entries[date] = entry;
+            });
+        } else if (data && typeof data === 'object') {
+            Object.entries(data).forEach(([key, value]) => {
+                const date = normalizeDate(key);
+                if (!date) {
+                    errors.push(`日期「${key}」無法辨識，已略過`);
+                } else if (value === true || typeof value === 'string') {
+                    entries[date] = createEntry(value === true ? '' : value);
+                } else if (value && typeof value === 'object' && RuleEngine.HOLIDAY_TYPES.includes(value.type)) {
+                    entries[date] = { type: value.type, name: String(value.name || '').trim() };
+                } else if (value) {
+                    errors.push(`${date} 的假日設定格式錯誤，已略過`);
+                }
+            });
+        } else {
+            errors.push('JSON 內容應為陣列或物件');
+        }
+        return { entries, errors };
+    };
+
+    /**
+     * 依副檔名（或內容）選擇解析方式
+     * @param {string} fileName - 檔名
+     * @param {string} text - 檔案內容
+     * @returns {{entries: object, errors: string[]}}
+     */
+    ScheduleHolidays.parseFile = function(fileName, text) {
+        const isICS = /\.ics$/i.test(fileName) || /^\s*BEGIN:VCALENDAR/i.test(text);
+        return isICS ? ScheduleHolidays.parseICS(text) : ScheduleHolidays.parseJSON(text);
+    };
+
+    /**
+     * 比較匯入的假日與目前的設定
+     * @param {object} holidayDates - 目前的假日設定
+     * @param {object} entries - 匯入的假日 { 日期: { type, name } }
+     * @returns {{added: Array<{date, to}>, changed: Array<{date, from, to}>, unchanged: number, startDate: ?string, endDate: ?string}}
+     */
+    ScheduleHolidays.diff = function(holidayDates, entries) {
+        const dates = Object.keys(entries).sort();
+        const added = [];
+        const changed = [];
+        let unchanged = 0;
+        dates.forEach(date => {
+            const from = RuleEngine.getHolidayEntry(holidayDates, date);
+            const to = entries[date];
+            if (!from) added.push({ date, to });
+            else if (from.type !== to.type || from.name !== to.name) changed.push({ date, from, to });
+            else unchanged++;
+        });
+        return { added, changed, unchanged, startDate: dates[0] || null, endDate: dates[dates.length - 1] || null };
+    };
+
+    /**
+     * 將匯入的假日併入目前的設定（不修改傳入的物件），同一天以匯入的設定為準
+     * @param {object} holidayDates - 目前的假日設定
+     * @param {object} entries - 匯入的假日
+     * @returns {object} 合併後的假日設定
+     */
+    ScheduleHolidays.merge = function(holidayDates, entries) {
+        const merged = JSON.parse(JSON.stringify(holidayDates || {}));
+        Object.entries(entries).forEach(([date, entry]) => {
+            merged[date] = { type: entry.type, name: entry.name };
+        });
+        return merged;
+    };
+
+    window.ScheduleHolidays = ScheduleHolidays;
+
+})(window);
@@ -0,0 +1,110 @@
+/**
+ * @file schedule_holidays.test.js
+ * @description 假日行事曆匯入的測試（以 node --test 執行）。
+ * schedule_holidays.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+globalThis.RuleEngine = require('./scheduling_rules.js');
+require('./schedule_holidays.js');
+const { ScheduleHolidays } = globalThis;
+
+const calendar = (...events) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+const event = (...lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+test('整天事件的 DTEND 為結束的隔天，有時間的事件以結束時間當天為止', () => {
+    const { entries, errors } = ScheduleHolidays.parseICS(calendar(
+        event('DTSTART;VALUE=DATE:20261010', 'DTEND;VALUE=DATE:20261011', 'SUMMARY:國慶日'),
+        event('DTSTART;VALUE=DATE:20270216', 'DTEND;VALUE=DATE:20270219', 'SUMMARY:春節'),
+        event('DTSTART:20261225T090000', 'DTEND:20261226T170000', 'SUMMARY:行憲紀念日'),
+        event('DTSTART;VALUE=DATE:20261101', 'SUMMARY:沒有 DTEND'),
+    ));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(Object.keys(entries).sort(), ['2026-10-10', '2026-11-01', '2026-12-25', '2026-12-26', '2027-02-16', '2027-02-17', '2027-02-18']);
+    assert.deepEqual(entries['2027-02-18'], { type: 'holiday', name: '春節' });
+});
+
+test('名稱含補班的事件為補班日，折行與跳脫字元會還原', () => {
+    const { entries } = ScheduleHolidays.parseICS(calendar(
+        event('DTSTART;VALUE=DATE:20270220', 'DTEND;VALUE=DATE:20270221', 'SUMMARY:春節補行上班'),
+        event('DTSTART;VALUE=DATE:20261009', 'DTEND;VALUE=DATE:20261010', 'SUMMARY:國慶日\\,連假', ' 調整放假'),
+    ));
+    assert.deepEqual(entries['2027-02-20'], { type: 'workday', name: '春節補行上班' });
+    assert.deepEqual(entries['2026-10-09'], { type: 'holiday', name: '國慶日,連假調整放假' });
+});
+
+test('iCalendar 格式錯誤與過長的事件', () => {
+    assert.deepEqual(ScheduleHolidays.parseICS('hello').errors, ['不是有效的 iCalendar 檔案']);
+    assert.deepEqual(ScheduleHolidays.parseICS(calendar()).errors, ['檔案中沒有任何事件']);
+    const { entries, errors } = ScheduleHolidays.parseICS(calendar(
+        event('SUMMARY:沒有日期'),
+        event('DTSTART;VALUE=DATE:20260101', 'DTEND;VALUE=DATE:20260301', 'SUMMARY:長假'),
+    ));
+    assert.equal(Object.keys(entries).length, 31);
+    assert.deepEqual(errors, ['第 1 個事件沒有有效的日期，已略過', '第 2 個事件「長假」超過 31 天，只匯入前 31 天']);
+});
+
+test('辦公日曆表：只取有名稱或平日的放假日，以及週末的上班日', () => {
+    // 2027-02-20 為週六、2027-02-21 為週日
+    const { entries, errors } = ScheduleHolidays.parseJSON(`﻿${JSON.stringify([
+        { '西元日期': '20270215', '是否放假': '2', '備註': '' },
+        { '西元日期': '20270216', '是否放假': '2', '備註': '春節' },
+        { '西元日期': '20270218', '是否放假': '0', '備註': '' },
+        { '西元日期': '20270220', '是否放假': '0', '備註': '補行上班' },
+        { '西元日期': '20270221', '是否放假': '2', '備註': '' },
+        { '西元日期': '2027-13-01', '是否放假': '2', '備註': '' },
+    ])}`);
+    assert.deepEqual(entries, {
+        '2027-02-15': { type: 'holiday', name: '' },
+        '2027-02-16': { type: 'holiday', name: '春節' },
+        '2027-02-20': { type: 'workday', name: '補行上班' },
+    });
+    assert.deepEqual(errors, ['第 6 筆資料的日期無法辨識，已略過']);
+});
+
+test('JSON 的 { 日期: 名稱 } 物件與匯出的資料檔', () => {
+    const byName = ScheduleHolidays.parseJSON(JSON.stringify({ '2026/10/10': '國慶日', '2026-10-17': '補班', '2026-10-11': true, 'soon': '?', '2026-10-12': 3 }));
+    assert.deepEqual(byName.entries, {
+        '2026-10-10': { type: 'holiday', name: '國慶日' },
+        '2026-10-17': { type: 'workday', name: '補班' },
+        '2026-10-11': { type: 'holiday', name: '' },
+    });
+    assert.deepEqual(byName.errors, ['日期「soon」無法辨識，已略過', '2026-10-12 的假日設定格式錯誤，已略過']);
+
+    const exported = ScheduleHolidays.parseJSON(JSON.stringify({ version: 'v4', holidayDates: { '2026-10-10': { type: 'holiday', name: '國慶日' } } }));
+    assert.deepEqual(exported.entries, { '2026-10-10': { type: 'holiday', name: '國慶日' } });
+    assert.deepEqual(ScheduleHolidays.parseJSON('{').errors, ['不是有效的 JSON 檔案']);
+    assert.equal(ScheduleHolidays.parseFile('holidays.txt', calendar(event('DTSTART;VALUE=DATE:20261010', 'SUMMARY:國慶日'))).entries['2026-10-10'].name, '國慶日');
+});
+
+test('補班日在規則引擎中為平日', () => {
+    const holidayDates = { '2027-02-20': { type: 'workday', name: '補行上班' }, '2026-10-09': { type: 'holiday', name: '' }, '2026-10-12': true };
+    assert.equal(RuleEngine.getDayType('2027-02-20', holidayDates), 'weekday');
+    assert.equal(RuleEngine.getDayType('2027-02-21', holidayDates), 'weekend');
+    assert.equal(RuleEngine.getDayType('2026-10-09', holidayDates), 'holiday');
+    assert.deepEqual(RuleEngine.getHolidayEntry(holidayDates, '2026-10-12'), { type: 'holiday', name: '' });
+    assert.deepEqual(RuleEngine.getApplicableShifts('2027-02-20', holidayDates), ['day', 'evening', 'night']);
+});
+
+test('比較與合併匯入的假日', () => {
+    const current = { '2026-10-09': true, '2026-10-10': { type: 'holiday', name: '國慶日' } };
+    const entries = { '2026-10-09': { type: 'holiday', name: '調整放假' }, '2026-10-10': { type: 'holiday', name: '國慶日' }, '2026-10-17': { type: 'workday', name: '補班' } };
+    const diff = ScheduleHolidays.diff(current, entries);
+    assert.deepEqual(diff.added, [{ date: '2026-10-17', to: entries['2026-10-17'] }]);
+    assert.deepEqual(diff.changed, [{ date: '2026-10-09', from: { type: 'holiday', name: '' }, to: entries['2026-10-09'] }]);
+    assert.equal(diff.unchanged, 1);
+    assert.equal(diff.startDate, '2026-10-09');
+    assert.equal(diff.endDate, '2026-10-17');
+    assert.deepEqual(ScheduleHolidays.merge(current, entries), entries);
+    assert.equal(current['2026-10-09'], true);
+
+    assert.equal(ScheduleHolidays.describe(entries['2026-10-17']), '補班');
+    assert.equal(ScheduleHolidays.describe({ type: 'workday', name: '春節補行上班' }), '補班（春節補行上班）');
+    assert.equal(ScheduleHolidays.describe({ type: 'holiday', name: '' }), '假日');
+    assert.equal(ScheduleHolidays.describe(null), '');
+});
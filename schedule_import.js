@@ -0,0 +1,514 @@
+/**
+ * @file schedule_import.js
+ * @description 匯入資料的版本轉換、格式檢查與合併。
+ * 匯出檔與 localStorage 都記錄資料格式版本，migrate 依版本逐步轉換為目前的格式；
+ * validate 逐項檢查資料（日期格式、不存在的員工或班次、無效的規則），列出每個問題並回傳略過問題項目後的資料；
+ * merge 只把匯入檔中指定日期範圍的排班、可用性或假日併入目前的資料。
+ * 本模組不操作畫面，也不直接讀寫 localStorage。須在 scheduling_rules.js 與 schedule_fairness.js 之後載入。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const RuleEngine = window.RuleEngine;
+    const ScheduleFairness = window.ScheduleFairness;
+
+    // 定義匯入物件
+    const ScheduleImport = {};
+
+    // 目前的資料格式版本（匯出檔的 version 欄位為 'v4'）
+    ScheduleImport.CURRENT_VERSION = 4;
+
+    // 沒有記錄版本的資料視為 v2：員工只有姓名、可用性為 true/false
+    const LEGACY_VERSION = 2;
+
+    // 休假不是班次定義中的班次，但可以出現在排班中
+    const OFF_SHIFT = 'off';
+
+    // 匯入檔中會被檢查並匯入的資料
+    ScheduleImport.DATA_KEYS = ['employees', 'scheduleData', 'employeeAvailability', 'availabilityPatterns', 'holidayDates', 'schedulingConditions', 'shiftDefinitions', 'rosterTemplates', 'fairnessSettings'];
+
+    // 可合併的資料
+    ScheduleImport.MERGE_SCOPES = ['scheduleData', 'employeeAvailability', 'holidayDates'];
+
+    // --- 內部輔助函式 ---
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * 日期鍵必須是 YYYY-MM-DD 且為實際存在的日期
+     */
+    function isValidDateKey(key) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) return false;
+        const [year, month, day] = key.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    }
+
+    function isInRange(date, startDate, endDate) {
+        return (!startDate || date >= startDate) && (!endDate || date <= endDate);
+    }
+
+    function isValidShiftKey(key, shiftDefinitions) {
+        return key === OFF_SHIFT || Object.prototype.hasOwnProperty.call(shiftDefinitions, key);
+    }
+
+    /**
+     * 排班項目只保留 employee、shift，鎖定的班次另外保留 locked: true
+     */
+    function toAssignment(employee, source) {
+        return source.locked === true ? { employee, shift: source.shift, locked: true } : { employee, shift: source.shift };
+    }
+
+    function isValidAvailabilityKey(key, shiftDefinitions) {
+        return key === RuleEngine.ALL_SHIFTS_KEY || Object.prototype.hasOwnProperty.call(shiftDefinitions, key);
+    }
+
+    /**
+     * v2 → v3：員工改為 { id, name, role, seniority, tags }，排班、可用性與員工規則中的姓名換成 id；
+     * 可用性 false 轉為整天不可上班，true（可以上班）即預設狀態，直接移除。
+     * 已是新格式的部分保持不變，因此對已轉換過的資料重複執行也不會有影響。
+     */
+    function migrateV2ToV3(data, options) {
+        const idByName = {};
+        data.employees = data.employees.map(e => {
+            if (typeof e !== 'string') return e;
+            const record = { id: options.createEmployeeId(), name: e, role: '', seniority: 0, tags: [] };
+            idByName[e] = record.id;
+            return record;
+        });
+        const toId = (name) => idByName[name] || name;
+        Object.values(data.scheduleData).forEach(shifts => {
+            if (Array.isArray(shifts)) shifts.forEach(s => { if (s) s.employee = toId(s.employee); });
+        });
+        data.employeeAvailability = Object.fromEntries(Object.entries(data.employeeAvailability).map(([name, dates]) => [toId(name), dates]));
+        (data.schedulingConditions.employeeRules || []).forEach(rule => { if (rule) rule.employee = toId(rule.employee); });
+
+        Object.values(data.employeeAvailability).forEach(dates => {
+            if (!isPlainObject(dates)) return;
+            Object.keys(dates).forEach(date => {
+                if (typeof dates[date] !== 'boolean') return;
+                if (dates[date]) delete dates[date];
+                else dates[date] = { [RuleEngine.ALL_SHIFTS_KEY]: 'unavailable' };
+            });
+        });
+    }
+
+    /**
+     * v3 → v4：假日設定由 true 改為 { type, name }，以記錄假日名稱與補班日
+     */
+    function migrateV3ToV4(data) {
+        if (!isPlainObject(data.holidayDates)) return;
+        Object.keys(data.holidayDates).forEach(date => {
+            if (data.holidayDates[date] === true) data.holidayDates[date] = { type: 'holiday', name: '' };
+            else if (data.holidayDates[date] === false) delete data.holidayDates[date];
+        });
+    }
+
+    // 版本轉換：鍵為轉換前的版本，每一步轉換到下一版
+    const MIGRATIONS = {
+        2: migrateV2ToV3,
+        3: migrateV3ToV4,
+    };
+
+    // --- 公開函式 ---
+
+    /**
+     * 解析版本欄位（'v2'、'3' 或數字），沒有版本時視為 v2
+     * @param {*} version
+     * @returns {number} 無法解析時為 NaN
+     */
+    ScheduleImport.parseVersion = function(version) {
+        if (version === undefined || version === null || version === '') return LEGACY_VERSION;
+        const match = /^v?(\d+)$/i.exec(String(version).trim());
+        return match ? parseInt(match[1], 10) : NaN;
+    };
+
+    ScheduleImport.formatVersion = function(version = ScheduleImport.CURRENT_VERSION) {
+        return `v${version}`;
+    };
+
+    /**
+     * 依版本逐步轉換資料為目前的格式（不修改傳入的物件），缺少的選填欄位補上預設值
+     * @param {object} data - { version, employees, scheduleData, employeeAvailability, availabilityPatterns, holidayDates, schedulingConditions, shiftDefinitions, rosterTemplates, fairnessSettings }
+     * @param {object} options - { createEmployeeId }：舊版員工轉換時產生 id
+     * @returns {{data: object, fromVersion: number, migrated: boolean}}
+     * @throws {Error} 版本無法辨識或比目前版本新時
+     */
+    ScheduleImport.migrate = function(data, options) {
+        const fromVersion = ScheduleImport.parseVersion(data.version);
+        if (Number.isNaN(fromVersion) || fromVersion < LEGACY_VERSION) {
+            throw new Error(`無法辨識的資料版本「${data.version}」`);
+        }
+        if (fromVersion > ScheduleImport.CURRENT_VERSION) {
+            throw new Error(`資料版本 ${ScheduleImport.formatVersion(fromVersion)} 比目前程式支援的 ${ScheduleImport.formatVersion()} 新，請更新程式後再匯入`);
+        }
+
+        const migrated = clone(data);
+        migrated.employees = migrated.employees || [];
+        migrated.scheduleData = migrated.scheduleData || {};
+        migrated.employeeAvailability = migrated.employeeAvailability || {};
+        migrated.availabilityPatterns = migrated.availabilityPatterns || {};
+        migrated.rosterTemplates = migrated.rosterTemplates || [];
+        migrated.holidayDates = migrated.holidayDates || {};
+        migrated.schedulingConditions = migrated.schedulingConditions || { employeeRules: [], shiftRules: [] };
+        migrated.shiftDefinitions = migrated.shiftDefinitions || clone(RuleEngine.DEFAULT_SHIFT_DEFINITIONS);
+        migrated.fairnessSettings = migrated.fairnessSettings || clone(ScheduleFairness.DEFAULT_SETTINGS);
+
+        for (let version = fromVersion; version < ScheduleImport.CURRENT_VERSION; version++) {
+            MIGRATIONS[version](migrated, options);
+        }
+        migrated.version = ScheduleImport.formatVersion();
+        return { data: migrated, fromVersion, migrated: fromVersion < ScheduleImport.CURRENT_VERSION };
+    };
+
+    /**
+     * 檢查目前格式的資料，列出所有問題並回傳略過問題項目後的資料（不修改傳入的物件）
+     * 檢查項目：班次定義、員工資料、排班與可用性的日期鍵／員工／班次、固定可用性規則、假日日期、員工規則的員工與班次、班別規則的班次與數值、排班範本的員工與班次、公平性設定。
+     * @param {object} data - migrate 回傳的資料
+     * @returns {{errors: Array<{section: string, message: string}>, data: object}}
+     */
+    ScheduleImport.validate = function(data) {
+        const errors = [];
+        const report = (section, message) => errors.push({ section, message });
+        const cleaned = clone(data);
+
+        // 班次定義
+        const shiftDefinitions = {};
+        if (isPlainObject(cleaned.shiftDefinitions)) {
+            Object.entries(cleaned.shiftDefinitions).forEach(([key, def]) => {
+                const error = key === OFF_SHIFT ? '代碼 off 保留給休假使用' : RuleEngine.validateShiftDefinition(def);
+                if (error) report('班別設定', `班次「${key}」：${error}，已略過`);
+                else shiftDefinitions[key] = def;
+            });
+        } else {
+            report('班別設定', '班別設定格式錯誤');
+        }
+        if (Object.keys(shiftDefinitions).length === 0) {
+            report('班別設定', '沒有有效的班次，改用預設班別');
+            Object.assign(shiftDefinitions, clone(RuleEngine.DEFAULT_SHIFT_DEFINITIONS));
+        }
+        cleaned.shiftDefinitions = shiftDefinitions;
+        const shiftName = (key) => shiftDefinitions[key]?.name || key;
+
+        // 員工
+        const employees = [];
+        const names = {};
+        (Array.isArray(cleaned.employees) ? cleaned.employees : []).forEach((e, index) => {
+            if (!isPlainObject(e) || typeof e.id !== 'string' || !e.id || typeof e.name !== 'string' || !e.name.trim()) {
+                report('員工', `第 ${index + 1} 筆員工資料缺少 id 或姓名，已略過`);
+                return;
+            }
+            if (names[e.id]) {
+                report('員工', `員工 id「${e.id}」重複（${names[e.id]}、${e.name}），已略過後者`);
+                return;
+            }
+            names[e.id] = e.name;
+            if (e.fte !== undefined && ScheduleFairness.getFte(e) !== e.fte) report('員工', `${e.name} 的 FTE「${e.fte}」無效，改為全職 1`);
+            if (e.hireDate && !(typeof e.hireDate === 'string' && isValidDateKey(e.hireDate))) report('員工', `${e.name} 的到職日「${e.hireDate}」格式錯誤，已略過`);
+            employees.push({
+                ...e,
+                role: typeof e.role === 'string' ? e.role : '',
+                seniority: Number.isFinite(e.seniority) ? e.seniority : 0,
+                tags: Array.isArray(e.tags) ? e.tags.filter(tag => typeof tag === 'string' && tag) : [],
+                fte: ScheduleFairness.getFte(e),
+                hireDate: typeof e.hireDate === 'string' && isValidDateKey(e.hireDate) ? e.hireDate : '',
+            });
+        });
+        if (!Array.isArray(cleaned.employees)) report('員工', '員工資料格式錯誤');
+        cleaned.employees = employees;
+        const employeeName = (id) => names[id] || id;
+
+        // 排班
+        const scheduleData = {};
+        Object.entries(isPlainObject(cleaned.scheduleData) ? cleaned.scheduleData : {}).forEach(([date, shifts]) => {
+            if (!isValidDateKey(date)) {
+                report('排班', `日期格式錯誤「${date}」，已略過該日的排班`);
+                return;
+            }
+            if (!Array.isArray(shifts)) {
+                report('排班', `${date}：排班格式錯誤，已略過`);
+                return;
+            }
+            const valid = shifts.filter(s => {
+                if (!isPlainObject(s)) {
+                    report('排班', `${date}：排班格式錯誤，已略過`);
+                    return false;
+                }
+                if (!names[s.employee]) {
+                    report('排班', `${date}：找不到員工「${s.employee}」，已略過其${shiftName(s.shift)}`);
+                    return false;
+                }
+                if (!isValidShiftKey(s.shift, shiftDefinitions)) {
+                    report('排班', `${date} ${employeeName(s.employee)}：找不到班次「${s.shift}」，已略過`);
+                    return false;
+                }
+                return true;
+            }).map(s => toAssignment(s.employee, s));
+            if (valid.length > 0) scheduleData[date] = valid;
+        });
+        if (!isPlainObject(cleaned.scheduleData)) report('排班', '排班資料格式錯誤');
+        cleaned.scheduleData = scheduleData;
+
+        // 可用性
+        const employeeAvailability = {};
+        Object.entries(isPlainObject(cleaned.employeeAvailability) ? cleaned.employeeAvailability : {}).forEach(([employee, dates]) => {
+            if (!names[employee]) {
+                report('可用性', `找不到員工「${employee}」，已略過其可用性設定`);
+                return;
+            }
+            if (!isPlainObject(dates)) {
+                report('可用性', `${employeeName(employee)}：可用性設定格式錯誤，已略過`);
+                return;
+            }
+            const validDates = {};
+            Object.entries(dates).forEach(([date, entry]) => {
+                if (!isValidDateKey(date)) {
+                    report('可用性', `${employeeName(employee)}：日期格式錯誤「${date}」，已略過`);
+                    return;
+                }
+                if (!isPlainObject(entry)) {
+                    report('可用性', `${employeeName(employee)} ${date}：設定格式錯誤，已略過`);
+                    return;
+                }
+                const validEntry = {};
+                Object.entries(entry).forEach(([key, state]) => {
+                    if (!isValidAvailabilityKey(key, shiftDefinitions)) {
+                        report('可用性', `${employeeName(employee)} ${date}：找不到班次「${key}」，已略過`);
+                    } else if (!RuleEngine.AVAILABILITY_STATES.includes(state)) {
+                        report('可用性', `${employeeName(employee)} ${date}：無效的狀態「${state}」，已略過`);
+                    } else {
+                        validEntry[key] = state;
+                    }
+                });
+                if (Object.keys(validEntry).length > 0) validDates[date] = validEntry;
+            });
+            employeeAvailability[employee] = validDates;
+        });
+        cleaned.employeeAvailability = employeeAvailability;
+
+        // 固定可用性規則
+        const availabilityPatterns = {};
+        Object.entries(isPlainObject(cleaned.availabilityPatterns) ? cleaned.availabilityPatterns : {}).forEach(([employee, patterns]) => {
+            if (!names[employee]) {
+                report('固定可用性', `找不到員工「${employee}」，已略過其固定規則`);
+                return;
+            }
+            const valid = (Array.isArray(patterns) ? patterns : []).filter((pattern, index) => {
+                const label = `${employeeName(employee)} 第 ${index + 1} 條規則`;
+                const error = RuleEngine.validateAvailabilityPattern(pattern);
+                if (error) {
+                    report('固定可用性', `${label}：${error}，已略過`);
+                    return false;
+                }
+                if (!isValidAvailabilityKey(pattern.shift || RuleEngine.ALL_SHIFTS_KEY, shiftDefinitions)) {
+                    report('固定可用性', `${label}：找不到班次「${pattern.shift}」，已略過`);
+                    return false;
+                }
+                return true;
+            });
+            if (valid.length > 0) availabilityPatterns[employee] = valid;
+        });
+        cleaned.availabilityPatterns = availabilityPatterns;
+
+        // 假日與補班日
+        const holidayDates = {};
+        Object.entries(isPlainObject(cleaned.holidayDates) ? cleaned.holidayDates : {}).forEach(([date, entry]) => {
+            if (!isValidDateKey(date)) report('假日', `日期格式錯誤「${date}」，已略過`);
+            else if (!isPlainObject(entry) || !RuleEngine.HOLIDAY_TYPES.includes(entry.type)) report('假日', `${date}：假日設定格式錯誤，已略過`);
+            else holidayDates[date] = { type: entry.type, name: typeof entry.name === 'string' ? entry.name : '' };
+        });
+        cleaned.holidayDates = holidayDates;
+
+        // 排班條件
+        const conditions = isPlainObject(cleaned.schedulingConditions) ? cleaned.schedulingConditions : {};
+        const employeeRules = (Array.isArray(conditions.employeeRules) ? conditions.employeeRules : []).filter((rule, index) => {
+            const label = `員工規則第 ${index + 1} 條`;
+            if (!isPlainObject(rule) || !RuleEngine.EMPLOYEE_RULE_TYPES.includes(rule.type)) {
+                report('排班條件', `${label}：未知的規則類型「${rule?.type}」，已略過`);
+                return false;
+            }
+            if (!names[rule.employee]) {
+                report('排班條件', `${label}（${rule.type}）：找不到員工「${rule.employee}」，已略過`);
+                return false;
+            }
+            if (rule.shift !== undefined && !shiftDefinitions[rule.shift]) {
+                report('排班條件', `${label}（${employeeName(rule.employee)}）：找不到班次「${rule.shift}」，已略過`);
+                return false;
+            }
+            return true;
+        });
+        const shiftRules = (Array.isArray(conditions.shiftRules) ? conditions.shiftRules : []).filter((rule, index) => {
+            const label = `班別規則第 ${index + 1} 條`;
+            if (!isPlainObject(rule) || !RuleEngine.SHIFT_RULE_TYPES.includes(rule.type)) {
+                report('排班條件', `${label}：未知的規則類型「${rule?.type}」，已略過`);
+                return false;
+            }
+            if (!shiftDefinitions[rule.shift]) {
+                report('排班條件', `${label}（${rule.type}）：找不到班次「${rule.shift}」，已略過`);
+                return false;
+            }
+            if (!Number.isFinite(Number(rule.value)) || Number(rule.value) < 0) {
+                report('排班條件', `${label}（${shiftName(rule.shift)}）：人數「${rule.value}」無效，已略過`);
+                return false;
+            }
+            if (rule.type === 'minSkillStaff' && (typeof rule.tag !== 'string' || !rule.tag)) {
+                report('排班條件', `${label}（${shiftName(rule.shift)}）：缺少技能標籤，已略過`);
+                return false;
+            }
+            return true;
+        });
+        if (!Array.isArray(conditions.employeeRules) || !Array.isArray(conditions.shiftRules)) report('排班條件', '排班條件格式錯誤');
+        cleaned.schedulingConditions = { ...conditions, employeeRules, shiftRules };
+
+        // 排班範本（找不到的員工與班次從範本中移除）
+        cleaned.rosterTemplates = (Array.isArray(cleaned.rosterTemplates) ? cleaned.rosterTemplates : []).filter((template, index) => {
+            if (!isPlainObject(template) || typeof template.name !== 'string' || !Number.isInteger(template.cycleDays) || template.cycleDays < 1
+                || !isValidDateKey(template.anchorDate || '') || !isPlainObject(template.rows)) {
+                report('排班範本', `第 ${index + 1} 個範本格式錯誤，已略過`);
+                return false;
+            }
+            const rows = {};
+            Object.entries(template.rows).forEach(([employee, days]) => {
+                if (!names[employee]) {
+                    report('排班範本', `範本「${template.name}」：找不到員工「${employee}」，已略過`);
+                    return;
+                }
+                rows[employee] = Array.from({ length: template.cycleDays }, (_, day) => (Array.isArray(days?.[day]) ? days[day] : []).filter(shift => {
+                    if (isValidShiftKey(shift, shiftDefinitions)) return true;
+                    report('排班範本', `範本「${template.name}」${employeeName(employee)} 第 ${day + 1} 天：找不到班次「${shift}」，已略過`);
+                    return false;
+                }));
+            });
+            template.rows = rows;
+            return true;
+        });
+
+        // 公平性設定
+        const fairnessError = ScheduleFairness.validateSettings(cleaned.fairnessSettings);
+        if (fairnessError) {
+            report('公平性設定', `${fairnessError}，改用預設設定`);
+            cleaned.fairnessSettings = clone(ScheduleFairness.DEFAULT_SETTINGS);
+        }
+
+        return { errors, data: cleaned };
+    };
+
+    /**
+     * 讀取匯入檔：檢查基本結構、轉換版本並逐項檢查
+     * @param {*} raw - JSON.parse 後的匯入檔內容
+     * @param {object} options - 同 migrate
+     * @returns {{fatal: ?string, fromVersion: ?number, errors: Array<{section: string, message: string}>, data: ?object}}
+     * fatal 為無法匯入的原因；errors 為已略過的項目，data 為略過後可匯入的資料。
+     */
+    ScheduleImport.read = function(raw, options) {
+        const fail = (fatal, fromVersion = null) => ({ fatal, fromVersion, errors: [], data: null });
+        if (!isPlainObject(raw) || !Array.isArray(raw.employees) || !isPlainObject(raw.scheduleData)) {
+            return fail('檔案缺少員工名單或排班資料，不是本系統匯出的檔案');
+        }
+        try {
+            const { data, fromVersion } = ScheduleImport.migrate(raw, options);
+            return { fatal: null, fromVersion, ...ScheduleImport.validate(data) };
+        } catch (error) {
+            return fail(error.message, ScheduleImport.parseVersion(raw.version));
+        }
+    };
+
+    /**
+     * 將匯入資料的部分內容併入目前的資料（不修改傳入的物件），員工名單、排班條件與班別設定維持不變
+     * @param {object} current - 目前的資料 { employees, scheduleData, employeeAvailability, holidayDates, shiftDefinitions, ... }
+     * @param {object} incoming - validate 後的匯入資料
+     * @param {object} options - { scopes, startDate, endDate }：scopes 為 MERGE_SCOPES 的子集，日期為 YYYY-MM-DD（含頭尾）
+     * 指定日期範圍時，範圍內以匯入檔為準（匯入檔沒有的排班、可用性或假日會被清除）；未指定時只覆蓋匯入檔中有資料的日期。
+     * 目前鎖定的班次一律保留，匯入檔中該員工當天的班次略過。
+     * 匯入檔的員工先依 id、再依姓名對應到目前的員工；對應不到的員工、目前沒有的班次與被鎖定班次擋下的班次會略過並列在 skipped。
+     * @returns {{data: object, skipped: Array<{section: string, message: string}>}}
+     */
+    ScheduleImport.merge = function(current, incoming, options) {
+        const { scopes = ScheduleImport.MERGE_SCOPES, startDate, endDate } = options;
+        const hasRange = !!(startDate || endDate);
+        const inRange = (date) => isInRange(date, startDate, endDate);
+        const data = clone(current);
+        const skipped = [];
+        const skip = (section, message) => skipped.push({ section, message });
+
+        const currentIds = new Set(data.employees.map(e => e.id));
+        const idByName = Object.fromEntries(data.employees.map(e => [e.name, e.id]));
+        const incomingNames = Object.fromEntries(incoming.employees.map(e => [e.id, e.name]));
+        const unmatched = new Set();
+        const toCurrentId = (id) => {
+            if (currentIds.has(id)) return id;
+            if (idByName[incomingNames[id]]) return idByName[incomingNames[id]];
+            unmatched.add(incomingNames[id] || id);
+            return null;
+        };
+
+        if (scopes.includes('scheduleData')) {
+            // 目前鎖定的班次一律保留，匯入檔中同一天同一位員工的班次不會取代它們
+            const keepLocked = (date) => (data.scheduleData[date] || []).filter(s => s.locked === true);
+            if (hasRange) Object.keys(data.scheduleData).filter(inRange).forEach(date => {
+                const locked = keepLocked(date);
+                if (locked.length > 0) data.scheduleData[date] = locked;
+                else delete data.scheduleData[date];
+            });
+            Object.entries(incoming.scheduleData).filter(([date]) => inRange(date)).forEach(([date, shifts]) => {
+                const locked = keepLocked(date);
+                const merged = [...locked];
+                shifts.forEach(s => {
+                    const employee = toCurrentId(s.employee);
+                    if (!employee) return;
+                    if (locked.some(l => l.employee === employee)) {
+                        if (!locked.some(l => l.employee === employee && l.shift === s.shift)) {
+                            skip('排班', `${date} ${incomingNames[s.employee]}：目前的班次已鎖定，保留目前的班次`);
+                        }
+                        return;
+                    }
+                    if (!isValidShiftKey(s.shift, data.shiftDefinitions)) {
+                        skip('排班', `${date} ${incomingNames[s.employee]}：目前沒有班次「${s.shift}」，已略過`);
+                        return;
+                    }
+                    merged.push(toAssignment(employee, s));
+                });
+                if (merged.length > 0) data.scheduleData[date] = merged;
+                else delete data.scheduleData[date];
+            });
+        }
+
+        if (scopes.includes('employeeAvailability')) {
+            Object.entries(incoming.employeeAvailability).forEach(([incomingId, dates]) => {
+                const employee = toCurrentId(incomingId);
+                if (!employee) return;
+                const target = data.employeeAvailability[employee] || {};
+                if (hasRange) Object.keys(target).filter(inRange).forEach(date => { delete target[date]; });
+                Object.entries(dates).filter(([date]) => inRange(date)).forEach(([date, entry]) => {
+                    const validEntry = {};
+                    Object.entries(entry).forEach(([key, state]) => {
+                        if (isValidAvailabilityKey(key, data.shiftDefinitions)) validEntry[key] = state;
+                        else skip('可用性', `${incomingNames[incomingId]} ${date}：目前沒有班次「${key}」，已略過`);
+                    });
+                    if (Object.keys(validEntry).length > 0) target[date] = validEntry;
+                    else delete target[date];
+                });
+                data.employeeAvailability[employee] = target;
+            });
+        }
+
+        if (scopes.includes('holidayDates')) {
+            if (hasRange) Object.keys(data.holidayDates).filter(inRange).forEach(date => { delete data.holidayDates[date]; });
+            Object.keys(incoming.holidayDates).filter(inRange).forEach(date => { data.holidayDates[date] = incoming.holidayDates[date]; });
+        }
+
+        unmatched.forEach(name => skip('員工', `目前名單中沒有「${name}」，已略過其資料`));
+        return { data, skipped };
+    };
+
+    window.ScheduleImport = ScheduleImport;
+
+})(window);
@@ -0,0 +1,237 @@
+/**
+ * @file schedule_import.test.js
+ * @description 匯入資料的版本轉換、格式檢查、合併與鎖定班次的測試（以 node --test 執行）。
+ * schedule_import.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+globalThis.RuleEngine = require('./scheduling_rules.js');
+require('./schedule_fairness.js');
+require('./schedule_import.js');
+const { RuleEngine, ScheduleFairness, ScheduleImport } = globalThis;
+
+/**
+ * 依序產生 e1、e2…（或其他字首）的員工 id
+ */
+const idGenerator = (prefix = 'e') => {
+    let next = 0;
+    return { createEmployeeId: () => `${prefix}${++next}` };
+};
+
+// 沒有 version 欄位的舊版（v2）匯出檔：員工只有姓名、可用性為 true/false
+const legacyFile = () => ({
+    employees: ['王小明', '李小華'],
+    scheduleData: { '2026-10-05': [{ employee: '王小明', shift: 'day' }, { employee: '李小華', shift: 'night' }] },
+    employeeAvailability: { '王小明': { '2026-10-06': false, '2026-10-07': true } },
+    holidayDates: {},
+    schedulingConditions: { employeeRules: [{ employee: '李小華', type: 'maxConsecutiveWorkDays', value: 5 }], shiftRules: [] },
+});
+
+test('舊版（v2）轉換：姓名換成 id，可用性 false 轉為整天不可上班', () => {
+    const raw = legacyFile();
+    const { data, fromVersion, migrated } = ScheduleImport.migrate(raw, idGenerator());
+    assert.equal(fromVersion, 2);
+    assert.equal(migrated, true);
+    assert.equal(data.version, ScheduleImport.formatVersion());
+    assert.deepEqual(data.employees, [
+        { id: 'e1', name: '王小明', role: '', seniority: 0, tags: [] },
+        { id: 'e2', name: '李小華', role: '', seniority: 0, tags: [] },
+    ]);
+    assert.deepEqual(data.scheduleData['2026-10-05'], [{ employee: 'e1', shift: 'day' }, { employee: 'e2', shift: 'night' }]);
+    assert.deepEqual(data.employeeAvailability, { e1: { '2026-10-06': { all: 'unavailable' } } });
+    assert.equal(data.schedulingConditions.employeeRules[0].employee, 'e2');
+    assert.deepEqual(data.shiftDefinitions, RuleEngine.DEFAULT_SHIFT_DEFINITIONS);
+    // 不修改傳入的物件
+    assert.deepEqual(raw, legacyFile());
+
+    // 已是目前版本的資料不再轉換
+    const again = ScheduleImport.migrate(data, idGenerator());
+    assert.equal(again.migrated, false);
+    assert.deepEqual(again.data, data);
+});
+
+test('版本欄位無法辨識或比目前版本新時無法匯入', () => {
+    assert.equal(ScheduleImport.parseVersion(undefined), 2);
+    assert.equal(ScheduleImport.parseVersion('V3'), 3);
+    assert.equal(ScheduleImport.parseVersion(3), 3);
+    assert.ok(Number.isNaN(ScheduleImport.parseVersion('beta')));
+
+    assert.throws(() => ScheduleImport.migrate({ ...legacyFile(), version: 'v99' }, idGenerator()), /比目前程式支援的 v\d+ 新/);
+    assert.throws(() => ScheduleImport.migrate({ ...legacyFile(), version: 'v1' }, idGenerator()), /無法辨識的資料版本「v1」/);
+
+    const { fatal, fromVersion, data } = ScheduleImport.read({ ...legacyFile(), version: 'v99' }, idGenerator());
+    assert.match(fatal, /請更新程式後再匯入/);
+    assert.equal(fromVersion, 99);
+    assert.equal(data, null);
+    assert.match(ScheduleImport.read({ scheduleData: {} }, idGenerator()).fatal, /不是本系統匯出的檔案/);
+});
+
+test('逐項檢查：列出問題並略過有問題的項目', () => {
+    const raw = legacyFile();
+    raw.scheduleData['2026-02-30'] = [{ employee: '王小明', shift: 'day' }];
+    raw.scheduleData['2026-10-06'] = [{ employee: '陳大文', shift: 'day' }, { employee: '李小華', shift: 'swing' }, { employee: '王小明', shift: 'off' }];
+    raw.schedulingConditions.employeeRules.push({ employee: '王小明', type: 'noSuchRule', value: 1 });
+    raw.schedulingConditions.shiftRules.push({ shift: 'day', type: 'minStaff', value: -1 });
+
+    const { fatal, errors, data } = ScheduleImport.read(raw, idGenerator());
+    assert.equal(fatal, null);
+    assert.deepEqual(errors, [
+        { section: '排班', message: '日期格式錯誤「2026-02-30」，已略過該日的排班' },
+        { section: '排班', message: '2026-10-06：找不到員工「陳大文」，已略過其平日白班' },
+        { section: '排班', message: '2026-10-06 李小華：找不到班次「swing」，已略過' },
+        { section: '排班條件', message: '員工規則第 2 條：未知的規則類型「noSuchRule」，已略過' },
+        { section: '排班條件', message: '班別規則第 1 條（平日白班）：人數「-1」無效，已略過' },
+    ]);
+    assert.deepEqual(Object.keys(data.scheduleData).sort(), ['2026-10-05', '2026-10-06']);
+    assert.deepEqual(data.scheduleData['2026-10-06'], [{ employee: 'e1', shift: 'off' }]);
+    assert.equal(data.schedulingConditions.employeeRules.length, 1);
+    assert.equal(data.schedulingConditions.shiftRules.length, 0);
+});
+
+test('合併指定日期範圍的排班：員工依姓名對應，範圍外的排班不變', () => {
+    const { data: current } = ScheduleImport.read({
+        ...legacyFile(),
+        scheduleData: {
+            '2026-10-01': [{ employee: '王小明', shift: 'evening' }],
+            '2026-10-05': [{ employee: '王小明', shift: 'evening' }],
+            '2026-10-06': [{ employee: '李小華', shift: 'day' }],
+        },
+    }, idGenerator());
+    // 匯入檔的 id 與目前的資料不同，且多了一位目前名單中沒有的員工
+    const { data: incoming } = ScheduleImport.read({
+        ...legacyFile(),
+        employees: ['陳大文', '王小明'],
+        scheduleData: { '2026-10-05': [{ employee: '王小明', shift: 'night' }, { employee: '陳大文', shift: 'day' }] },
+        employeeAvailability: {},
+        schedulingConditions: { employeeRules: [], shiftRules: [] },
+    }, idGenerator('x'));
+
+    const { data, skipped } = ScheduleImport.merge(current, incoming, { scopes: ['scheduleData'], startDate: '2026-10-05', endDate: '2026-10-31' });
+    assert.deepEqual(data.scheduleData, {
+        '2026-10-01': [{ employee: 'e1', shift: 'evening' }],
+        '2026-10-05': [{ employee: 'e1', shift: 'night' }],
+    });
+    assert.deepEqual(skipped, [{ section: '員工', message: '目前名單中沒有「陳大文」，已略過其資料' }]);
+    assert.deepEqual(data.employees, current.employees);
+    assert.deepEqual(data.employeeAvailability, current.employeeAvailability);
+});
+
+test('v3 轉為 v4：假日 true 轉為未命名的假日，false 移除', () => {
+    const { data, fromVersion } = ScheduleImport.migrate({
+        ...legacyFile(),
+        employees: [],
+        scheduleData: {},
+        employeeAvailability: {},
+        holidayDates: { '2026-10-09': true, '2026-10-10': false, '2026-10-17': { type: 'workday', name: '補班' } },
+        version: 'v3',
+    }, idGenerator());
+    assert.equal(fromVersion, 3);
+    assert.deepEqual(data.holidayDates, { '2026-10-09': { type: 'holiday', name: '' }, '2026-10-17': { type: 'workday', name: '補班' } });
+});
+
+test('假日設定格式錯誤時略過', () => {
+    const { errors, data } = ScheduleImport.validate({
+        ...ScheduleImport.migrate(legacyFile(), idGenerator()).data,
+        holidayDates: { '2026-10-09': { type: 'holiday', name: '調整放假' }, '2026-10-10': { type: 'vacation' }, '2026-10-11': true },
+    });
+    assert.deepEqual(errors, [
+        { section: '假日', message: '2026-10-10：假日設定格式錯誤，已略過' },
+        { section: '假日', message: '2026-10-11：假日設定格式錯誤，已略過' },
+    ]);
+    assert.deepEqual(data.holidayDates, { '2026-10-09': { type: 'holiday', name: '調整放假' } });
+});
+
+test('員工的 FTE 與到職日、公平性設定無效時改用預設值', () => {
+    const migrated = ScheduleImport.migrate(legacyFile(), idGenerator()).data;
+    assert.deepEqual(migrated.fairnessSettings, ScheduleFairness.DEFAULT_SETTINGS);
+
+    migrated.employees[0] = { ...migrated.employees[0], fte: 0.5, hireDate: '2026-09-01' };
+    migrated.employees[1] = { ...migrated.employees[1], fte: 3, hireDate: '9/1' };
+    const { errors, data } = ScheduleImport.validate({ ...migrated, fairnessSettings: { windowMonths: 0, weights: {} } });
+    assert.deepEqual(errors, [
+        { section: '員工', message: '李小華 的 FTE「3」無效，改為全職 1' },
+        { section: '員工', message: '李小華 的到職日「9/1」格式錯誤，已略過' },
+        { section: '公平性設定', message: '統計期間須為 1 到 12 個月，改用預設設定' },
+    ]);
+    assert.deepEqual(data.employees.map(e => [e.fte, e.hireDate]), [[0.5, '2026-09-01'], [1, '']]);
+    assert.deepEqual(data.fairnessSettings, ScheduleFairness.DEFAULT_SETTINGS);
+});
+
+const employees = [
+    { id: 'a', name: '甲', role: '', seniority: 0, tags: [], fte: 1, hireDate: '' },
+    { id: 'b', name: '乙', role: '', seniority: 0, tags: [], fte: 1, hireDate: '' },
+];
+
+/**
+ * 與「匯出資料」相同的檔案內容（JSON 字串轉回物件）
+ */
+const exportFile = (scheduleData) => JSON.parse(JSON.stringify({
+    employees,
+    scheduleData,
+    employeeAvailability: {},
+    availabilityPatterns: {},
+    holidayDates: {},
+    schedulingConditions: { employeeRules: [], shiftRules: [] },
+    shiftDefinitions: RuleEngine.DEFAULT_SHIFT_DEFINITIONS,
+    rosterTemplates: [],
+    fairnessSettings: ScheduleFairness.DEFAULT_SETTINGS,
+    version: ScheduleImport.formatVersion(),
+}));
+
+const lockedData = {
+    '2026-10-05': [{ employee: 'a', shift: 'night', locked: true }, { employee: 'b', shift: 'day' }],
+    '2026-10-06': [{ employee: 'b', shift: 'off', locked: true }],
+};
+
+test('匯出後整份匯入：鎖定的班次仍為鎖定', () => {
+    const { fatal, errors, data } = ScheduleImport.read(exportFile(lockedData), {});
+    assert.equal(fatal, null);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(data.scheduleData, lockedData);
+});
+
+test('匯出後合併匯入：鎖定的班次仍為鎖定', () => {
+    const { data: incoming } = ScheduleImport.read(exportFile(lockedData), {});
+    const current = exportFile({ '2026-10-05': [{ employee: 'a', shift: 'day' }] });
+    const { data, skipped } = ScheduleImport.merge(current, incoming, { scopes: ['scheduleData'] });
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(data.scheduleData, lockedData);
+});
+
+test('locked 不是 true 時不保留', () => {
+    const { data } = ScheduleImport.read(exportFile({
+        '2026-10-05': [{ employee: 'a', shift: 'night', locked: 'yes' }, { employee: 'b', shift: 'day', locked: false }],
+    }), {});
+    assert.deepEqual(data.scheduleData['2026-10-05'], [{ employee: 'a', shift: 'night' }, { employee: 'b', shift: 'day' }]);
+});
+
+test('合併匯入：目前鎖定的班次保留，匯入檔中同一位員工當天的班次略過', () => {
+    const current = exportFile({
+        '2026-10-05': [{ employee: 'a', shift: 'day', locked: true }, { employee: 'b', shift: 'evening' }],
+        '2026-10-06': [{ employee: 'b', shift: 'night', locked: true }],
+        '2026-10-07': [{ employee: 'a', shift: 'day' }],
+    });
+    const { data: incoming } = ScheduleImport.read(exportFile({
+        '2026-10-05': [{ employee: 'a', shift: 'night' }, { employee: 'b', shift: 'day' }],
+        '2026-10-06': [{ employee: 'b', shift: 'night' }],
+    }), {});
+    const { data, skipped } = ScheduleImport.merge(current, incoming, { scopes: ['scheduleData'], startDate: '2026-10-01', endDate: '2026-10-31' });
+    assert.deepEqual(data.scheduleData, {
+        '2026-10-05': [{ employee: 'a', shift: 'day', locked: true }, { employee: 'b', shift: 'day' }],
+        '2026-10-06': [{ employee: 'b', shift: 'night', locked: true }],
+    });
+    // 與鎖定班次相同的不列出
+    assert.deepEqual(skipped, [{ section: '排班', message: '2026-10-05 甲：目前的班次已鎖定，保留目前的班次' }]);
+});
+
+test('指定範圍合併時，匯入檔沒有資料的日期仍保留鎖定的班次', () => {
+    const current = exportFile({ '2026-10-08': [{ employee: 'a', shift: 'off', locked: true }, { employee: 'b', shift: 'day' }] });
+    const { data: incoming } = ScheduleImport.read(exportFile({}), {});
+    const { data } = ScheduleImport.merge(current, incoming, { scopes: ['scheduleData'], startDate: '2026-10-01', endDate: '2026-10-31' });
+    assert.deepEqual(data.scheduleData, { '2026-10-08': [{ employee: 'a', shift: 'off', locked: true }] });
+});
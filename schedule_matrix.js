@@ -0,0 +1,286 @@
+/**
+ * @file schedule_matrix.js
+ * @description 員工 × 日期矩陣編輯。
+ * 以員工為列、日期為欄呈現一個月的排班：每格以班次代碼輸入（D 白班、E 小夜、N 大夜、O 休假，也可輸入班次代碼或名稱），
+ * 代碼依當天適用的班次解析（週末輸入 D 即為週末白班）；另提供拖放移動／互換、區塊複製貼上，
+ * 以及每位員工的班數工時與每天各班次人數（對照最少人數規則）的統計。
+ * 本模組不操作畫面，也不直接讀寫 localStorage。須在 scheduling_rules.js 之後載入。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const RuleEngine = window.RuleEngine;
+
+    // 定義矩陣編輯物件
+    const ScheduleMatrix = {};
+
+    const OFF_SHIFT = 'off';
+
+    // 班次分類的輸入代碼（顯示時也使用第一個代碼）
+    const CATEGORY_CODES = {
+        day: ['D', '白'],
+        evening: ['E', '小'],
+        night: ['N', '大', '夜'],
+    };
+    const OFF_CODES = ['O', 'OFF', '休'];
+    const CATEGORY_NAMES = { day: '白班', evening: '小夜', night: '大夜' };
+
+    // 同一格有多個班次時以 + 串接（如 D+N）
+    const CODE_SEPARATOR = '+';
+
+    // --- 內部輔助函式 ---
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    function findCategoryByCode(code) {
+        return Object.keys(CATEGORY_CODES).find(category => CATEGORY_CODES[category].includes(code)) || null;
+    }
+
+    /**
+     * 輸入文字對應的班次代碼（比對代碼或名稱，不分大小寫）
+     */
+    function findShiftKey(text, shiftDefinitions) {
+        const lower = text.toLowerCase();
+        return Object.keys(shiftDefinitions).find(key => key.toLowerCase() === lower || shiftDefinitions[key].name === text) || null;
+    }
+
+    // --- 公開函式 ---
+
+    /**
+     * 班次在矩陣中顯示的代碼：休假為 O，其餘依分類為 D、E、N，其他分類使用班次代碼
+     * @param {string} shiftKey - 班次代碼
+     * @param {object} shiftDefinitions - 班次定義
+     * @returns {string}
+     */
+    ScheduleMatrix.getShiftCode = function(shiftKey, shiftDefinitions) {
+        if (shiftKey === OFF_SHIFT) return OFF_CODES[0];
+        const category = RuleEngine.getShiftCategory(shiftKey, shiftDefinitions);
+        return CATEGORY_CODES[category]?.[0] || shiftKey;
+    };
+
+    /**
+     * 某格的顯示文字，如 D、D+N
+     */
+    ScheduleMatrix.formatCell = function(shifts, shiftDefinitions) {
+        return shifts.map(shift => ScheduleMatrix.getShiftCode(shift, shiftDefinitions)).join(CODE_SEPARATOR);
+    };
+
+    /**
+     * 解析某一格輸入的文字
+     * @param {string} text - 輸入的文字：空白或 - 為清除，多個班次以 + 分隔
+     * @param {string} dateStr - 日期 YYYY-MM-DD
+     * @param {object} context - { holidayDates, shiftDefinitions }
+     * @returns {{shifts: ?string[], error: ?string}} shifts 為班次代碼陣列（清除時為空陣列）；無法解析時 error 為原因
+     * 輸入班次代碼但當天不適用時（如週末貼上平日白班），改用當天同分類的班次。
+     */
+    ScheduleMatrix.parseCellInput = function(text, dateStr, context) {
+        const { holidayDates = {}, shiftDefinitions = RuleEngine.DEFAULT_SHIFT_DEFINITIONS } = context;
+        const trimmed = String(text || '').trim();
+        if (trimmed === '' || trimmed === '-') return { shifts: [], error: null };
+
+        const applicable = RuleEngine.getApplicableShifts(dateStr, holidayDates, shiftDefinitions);
+        const shifts = [];
+        for (const part of trimmed.split(CODE_SEPARATOR).map(p => p.trim()).filter(Boolean)) {
+            let shift;
+            if (OFF_CODES.includes(part.toUpperCase()) || part === OFF_SHIFT) {
+                shift = OFF_SHIFT;
+            } else {
+                const key = findShiftKey(part, shiftDefinitions);
+                if (key && applicable.includes(key)) {
+                    shift = key;
+                } else {
+                    const category = key ? RuleEngine.getShiftCategory(key, shiftDefinitions) : findCategoryByCode(part.toUpperCase());
+                    if (!category) return { shifts: null, error: `無法辨識的班次「${part}」` };
+                    shift = applicable.find(k => RuleEngine.getShiftCategory(k, shiftDefinitions) === category);
+                    if (!shift) return { shifts: null, error: `${dateStr} 沒有${key ? shiftDefinitions[key].name : CATEGORY_NAMES[category]}` };
+                }
+            }
+            if (!shifts.includes(shift)) shifts.push(shift);
+        }
+        return { shifts, error: null };
+    };
+
+    /**
+     * 員工某日的班次（依排班資料中的順序）
+     * @returns {string[]}
+     */
+    ScheduleMatrix.getCellShifts = function(scheduleData, employee, dateStr) {
+        return (scheduleData[dateStr] || []).filter(s => s.employee === employee).map(s => s.shift);
+    };
+
+    /**
+     * 員工某日是否有鎖定的班次（鎖定的格子須先解除鎖定才能修改）
+     * @returns {boolean}
+     */
+    ScheduleMatrix.isCellLocked = function(scheduleData, employee, dateStr) {
+        return (scheduleData[dateStr] || []).some(s => s.employee === employee && s.locked === true);
+    };
+
+    /**
+     * 設定多個格子的班次（不修改傳入的排班資料），每格的班次整個取代該員工當天原有的班次；有鎖定班次的格子保持不變
+     * @param {object} scheduleData - 目前的排班資料
+     * @param {Array<{employee: string, date: string, shifts: string[]}>} changes - shifts 為空陣列時清除該格
+     * @returns {object} 修改後的排班資料
+     */
+    ScheduleMatrix.setCells = function(scheduleData, changes) {
+        const after = clone(scheduleData);
+        changes.forEach(({ employee, date, shifts }) => {
+            if (ScheduleMatrix.isCellLocked(scheduleData, employee, date)) return;
+            const current = after[date] || [];
+            // 新的班次放在原本第一個班次的位置，月曆上的順序才不會跳動
+            const position = current.findIndex(s => s.employee === employee);
+            const others = current.filter(s => s.employee !== employee);
+            const insertAt = position === -1 ? others.length : current.slice(0, position).filter(s => s.employee !== employee).length;
+            others.splice(insertAt, 0, ...shifts.map(shift => ({ employee, shift })));
+            if (others.length > 0) after[date] = others;
+            else delete after[date];
+        });
+        return after;
+    };
+
+    /**
+     * 拖放：把一格的班次移到另一格；目標格已有班次時兩格互換
+     * @param {object} scheduleData - 目前的排班資料
+     * @param {object} from - { employee, date }
+     * @param {object} to - { employee, date }
+     * @param {object} context - { holidayDates, shiftDefinitions }：換到不同日期時依當天適用的班次轉換
+     * @returns {{scheduleData: ?object, swapped: boolean, error: ?string}} 任一格有鎖定的班次時不移動
+     */
+    ScheduleMatrix.moveCell = function(scheduleData, from, to, context) {
+        const fromShifts = ScheduleMatrix.getCellShifts(scheduleData, from.employee, from.date);
+        const toShifts = ScheduleMatrix.getCellShifts(scheduleData, to.employee, to.date);
+        if (fromShifts.length === 0) return { scheduleData: null, swapped: false, error: '這一格沒有班次' };
+        const swapped = toShifts.length > 0;
+        if (ScheduleMatrix.isCellLocked(scheduleData, from.employee, from.date) || ScheduleMatrix.isCellLocked(scheduleData, to.employee, to.date)) {
+            return { scheduleData: null, swapped, error: '班次已鎖定，請先解除鎖定' };
+        }
+
+        const moved = ScheduleMatrix.parseCellInput(fromShifts.join(CODE_SEPARATOR), to.date, context);
+        if (moved.error) return { scheduleData: null, swapped, error: moved.error };
+        const returned = ScheduleMatrix.parseCellInput(toShifts.join(CODE_SEPARATOR), from.date, context);
+        if (returned.error) return { scheduleData: null, swapped, error: returned.error };
+
+        const after = ScheduleMatrix.setCells(scheduleData, [
+            { employee: from.employee, date: from.date, shifts: returned.shifts },
+            { employee: to.employee, date: to.date, shifts: moved.shifts },
+        ]);
+        return { scheduleData: after, swapped, error: null };
+    };
+
+    /**
+     * 複製矩陣中的一個區塊
+     * @param {object} scheduleData - 排班資料
+     * @param {string[]} employees - 區塊內的員工 id（列）
+     * @param {string[]} dates - 區塊內的日期（欄）
+     * @returns {Array<Array<string[]>>} 每格為班次代碼陣列
+     */
+    ScheduleMatrix.copyBlock = function(scheduleData, employees, dates) {
+        return employees.map(employee => dates.map(date => ScheduleMatrix.getCellShifts(scheduleData, employee, date)));
+    };
+
+    /**
+     * 區塊轉為以 Tab 與換行分隔的文字，可貼到試算表
+     */
+    ScheduleMatrix.blockToText = function(block, shiftDefinitions) {
+        return block.map(row => row.map(shifts => ScheduleMatrix.formatCell(shifts, shiftDefinitions)).join('\t')).join('\n');
+    };
+
+    /**
+     * 從試算表複製的文字轉為區塊（每格為輸入文字）
+     */
+    ScheduleMatrix.textToBlock = function(text) {
+        return String(text).replace(/\r/g, '').replace(/\n+$/, '').split('\n').map(line => line.split('\t'));
+    };
+
+    /**
+     * 將區塊貼到矩陣，左上角對齊指定的列與欄；超出範圍的部分略過
+     * @param {Array<Array<string[]|string>>} block - copyBlock 或 textToBlock 的結果
+     * @param {object} target - { employees, dates, row, col }：employees / dates 為矩陣所有的列與欄，row / col 為左上角
+     * @param {object} context - { holidayDates, shiftDefinitions }
+     * @returns {{changes: Array<{employee, date, shifts}>, errors: string[]}} changes 可直接傳給 setCells
+     */
+    ScheduleMatrix.pasteBlock = function(block, target, context) {
+        const { employees, dates, row, col } = target;
+        const changes = [];
+        const errors = [];
+        block.forEach((cells, r) => {
+            const employee = employees[row + r];
+            if (!employee) return;
+            cells.forEach((value, c) => {
+                const date = dates[col + c];
+                if (!date) return;
+                const text = Array.isArray(value) ? value.join(CODE_SEPARATOR) : value;
+                const { shifts, error } = ScheduleMatrix.parseCellInput(text, date, context);
+                if (error) errors.push(error);
+                else changes.push({ employee, date, shifts });
+            });
+        });
+        return { changes, errors };
+    };
+
+    /**
+     * 統計每位員工的班數與工時，以及每天各班次的人數與最少人數
+     * @param {object} scheduleData - 排班資料
+     * @param {object} params - { employees, dates, shiftDefinitions, holidayDates, shiftRules }：employees 為員工 id 陣列
+     * @returns {{rows: object, columns: object}}
+     * rows[員工] 為 { shifts, hours, off }；columns[日期] 為 { total, shifts: { 班次代碼: { count, min } } }，
+     * 只列當天適用的班次，min 為 minStaff 規則的人數（沒有規則時為 0）。
+     */
+    ScheduleMatrix.summarize = function(scheduleData, params) {
+        const { employees, dates, shiftDefinitions = RuleEngine.DEFAULT_SHIFT_DEFINITIONS, holidayDates = {}, shiftRules = [] } = params;
+        const rows = Object.fromEntries(employees.map(employee => [employee, { shifts: 0, hours: 0, off: 0 }]));
+        const columns = {};
+        dates.forEach(date => {
+            const shifts = {};
+            RuleEngine.getApplicableShifts(date, holidayDates, shiftDefinitions).forEach(key => {
+                const minRule = shiftRules.find(r => r.shift === key && r.type === 'minStaff');
+                shifts[key] = { count: 0, min: minRule ? Number(minRule.value) : 0 };
+            });
+            let total = 0;
+            (scheduleData[date] || []).forEach(({ employee, shift }) => {
+                if (shift === OFF_SHIFT) {
+                    if (rows[employee]) rows[employee].off++;
+                    return;
+                }
+                total++;
+                if (!shifts[shift]) shifts[shift] = { count: 0, min: 0 };
+                shifts[shift].count++;
+                if (rows[employee]) {
+                    rows[employee].shifts++;
+                    if (shiftDefinitions[shift]) rows[employee].hours += RuleEngine.getShiftDurationHours(shiftDefinitions[shift]);
+                }
+            });
+            columns[date] = { total, shifts };
+        });
+        return { rows, columns };
+    };
+
+    /**
+     * 將 RuleEngine.evaluate 的違規對應到矩陣的格子：有員工的違規標在該員工的日期格，人數類的違規標在日期欄
+     * @param {Array<object>} violations - 違規物件陣列
+     * @returns {{cells: object, columns: object}} 鍵分別為「員工|日期」與日期，值為 { severity, messages }（有衝突時 severity 為 error）
+     */
+    ScheduleMatrix.mapViolations = function(violations) {
+        const cells = {};
+        const columns = {};
+        const add = (map, key, violation) => {
+            if (!map[key]) map[key] = { severity: 'warning', messages: [] };
+            if (violation.severity !== 'warning') map[key].severity = 'error';
+            if (!map[key].messages.includes(violation.message)) map[key].messages.push(violation.message);
+        };
+        violations.forEach(violation => {
+            violation.dates.forEach(date => {
+                if (violation.employee) add(cells, `${violation.employee}|${date}`, violation);
+                else add(columns, date, violation);
+            });
+        });
+        return { cells, columns };
+    };
+
+    window.ScheduleMatrix = ScheduleMatrix;
+
+})(window);
@@ -0,0 +1,136 @@
+/**
+ * @file schedule_matrix.test.js
+ * @description 員工 × 日期矩陣編輯與鎖定班次的測試（以 node --test 執行）。
+ * schedule_matrix.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+globalThis.RuleEngine = require('./scheduling_rules.js');
+require('./schedule_matrix.js');
+const { ScheduleMatrix } = globalThis;
+
+// 2026-10-05 為週一、2026-10-10 為週六
+const context = { holidayDates: {}, shiftDefinitions: RuleEngine.DEFAULT_SHIFT_DEFINITIONS };
+
+test('輸入代碼依當天適用的班次解析', () => {
+    assert.deepEqual(ScheduleMatrix.parseCellInput('d', '2026-10-05', context), { shifts: ['day'], error: null });
+    assert.deepEqual(ScheduleMatrix.parseCellInput('D', '2026-10-10', context), { shifts: ['weekend-day'], error: null });
+    assert.deepEqual(ScheduleMatrix.parseCellInput('day', '2026-10-10', context), { shifts: ['weekend-day'], error: null });
+    assert.deepEqual(ScheduleMatrix.parseCellInput('平日大夜', '2026-10-05', context), { shifts: ['night'], error: null });
+    assert.deepEqual(ScheduleMatrix.parseCellInput('D + N + d', '2026-10-05', context), { shifts: ['day', 'night'], error: null });
+    assert.deepEqual(ScheduleMatrix.parseCellInput('休', '2026-10-05', context), { shifts: ['off'], error: null });
+    assert.deepEqual(ScheduleMatrix.parseCellInput(' - ', '2026-10-05', context), { shifts: [], error: null });
+    assert.deepEqual(ScheduleMatrix.parseCellInput('X', '2026-10-05', context), { shifts: null, error: '無法辨識的班次「X」' });
+    assert.deepEqual(ScheduleMatrix.parseCellInput('E', '2026-10-10', context), { shifts: null, error: '2026-10-10 沒有小夜' });
+});
+
+test('顯示代碼：休假為 O，其餘依分類', () => {
+    assert.equal(ScheduleMatrix.formatCell(['weekend-day', 'weekend-night'], context.shiftDefinitions), 'D+N');
+    assert.equal(ScheduleMatrix.formatCell(['off'], context.shiftDefinitions), 'O');
+});
+
+test('setCells 取代該員工當天的班次並保留原本的位置', () => {
+    const scheduleData = { '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'evening' }, { employee: 'c', shift: 'night' }] };
+    const after = ScheduleMatrix.setCells(scheduleData, [
+        { employee: 'b', date: '2026-10-05', shifts: ['day', 'night'] },
+        { employee: 'a', date: '2026-10-06', shifts: ['off'] },
+        { employee: 'c', date: '2026-10-05', shifts: [] },
+    ]);
+    assert.deepEqual(after, {
+        '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'day' }, { employee: 'b', shift: 'night' }],
+        '2026-10-06': [{ employee: 'a', shift: 'off' }],
+    });
+    assert.equal(scheduleData['2026-10-05'].length, 3);
+    assert.deepEqual(ScheduleMatrix.setCells(after, [{ employee: 'a', date: '2026-10-06', shifts: [] }])['2026-10-06'], undefined);
+});
+
+test('拖放到空格為移動，到有班次的格子為互換，換到週末時轉為週末班次', () => {
+    const scheduleData = {
+        '2026-10-05': [{ employee: 'a', shift: 'day' }],
+        '2026-10-10': [{ employee: 'b', shift: 'weekend-night' }],
+    };
+    const moved = ScheduleMatrix.moveCell(scheduleData, { employee: 'a', date: '2026-10-05' }, { employee: 'a', date: '2026-10-06' }, context);
+    assert.equal(moved.swapped, false);
+    assert.deepEqual(moved.scheduleData, { '2026-10-06': [{ employee: 'a', shift: 'day' }], '2026-10-10': scheduleData['2026-10-10'] });
+
+    const swapped = ScheduleMatrix.moveCell(scheduleData, { employee: 'a', date: '2026-10-05' }, { employee: 'b', date: '2026-10-10' }, context);
+    assert.equal(swapped.swapped, true);
+    assert.deepEqual(swapped.scheduleData, {
+        '2026-10-05': [{ employee: 'a', shift: 'night' }],
+        '2026-10-10': [{ employee: 'b', shift: 'weekend-day' }],
+    });
+
+    assert.equal(ScheduleMatrix.moveCell(scheduleData, { employee: 'c', date: '2026-10-05' }, { employee: 'a', date: '2026-10-06' }, context).error, '這一格沒有班次');
+});
+
+test('區塊複製貼上：與試算表文字互轉，超出範圍的部分略過', () => {
+    const scheduleData = {
+        '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'off' }],
+        '2026-10-06': [{ employee: 'a', shift: 'evening' }],
+    };
+    const block = ScheduleMatrix.copyBlock(scheduleData, ['a', 'b'], ['2026-10-05', '2026-10-06']);
+    assert.deepEqual(block, [[['day'], ['evening']], [['off'], []]]);
+    const text = ScheduleMatrix.blockToText(block, context.shiftDefinitions);
+    assert.equal(text, 'D\tE\nO\t');
+    assert.deepEqual(ScheduleMatrix.textToBlock(`${text.replace(/\n/g, '\r\n')}\r\n`), [['D', 'E'], ['O', '']]);
+
+    const target = { employees: ['a', 'b'], dates: ['2026-10-09', '2026-10-10'], row: 1, col: 0 };
+    const { changes, errors } = ScheduleMatrix.pasteBlock([['E', 'E'], ['D', 'D']], target, context);
+    assert.deepEqual(changes, [{ employee: 'b', date: '2026-10-09', shifts: ['evening'] }]);
+    assert.deepEqual(errors, ['2026-10-10 沒有小夜']);
+});
+
+test('統計每位員工的班數工時，以及每天各班次人數與最少人數', () => {
+    const scheduleData = {
+        '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'off' }],
+        '2026-10-10': [{ employee: 'a', shift: 'weekend-night' }],
+    };
+    const { rows, columns } = ScheduleMatrix.summarize(scheduleData, {
+        employees: ['a', 'b'],
+        dates: ['2026-10-05', '2026-10-10'],
+        shiftRules: [{ shift: 'day', type: 'minStaff', value: 2 }],
+    });
+    assert.deepEqual(rows, { a: { shifts: 2, hours: 20, off: 0 }, b: { shifts: 0, hours: 0, off: 1 } });
+    assert.deepEqual(columns['2026-10-05'], { total: 1, shifts: { day: { count: 1, min: 2 }, evening: { count: 0, min: 0 }, night: { count: 0, min: 0 } } });
+    assert.deepEqual(columns['2026-10-10'], { total: 1, shifts: { 'weekend-day': { count: 0, min: 0 }, 'weekend-night': { count: 1, min: 0 } } });
+});
+
+test('違規對應到格子或日期欄，有衝突時標為 error', () => {
+    const { cells, columns } = ScheduleMatrix.mapViolations([
+        { ruleType: 'preferredShift', severity: 'warning', employee: 'a', dates: ['2026-10-05'], message: '偏好' },
+        { ruleType: 'maxConsecutiveWorkDays', severity: 'error', employee: 'a', dates: ['2026-10-05'], message: '連續' },
+        { ruleType: 'minStaff', severity: 'error', employee: null, dates: ['2026-10-05', '2026-10-06'], message: '不足' },
+    ]);
+    assert.deepEqual(cells, { 'a|2026-10-05': { severity: 'error', messages: ['偏好', '連續'] } });
+    assert.deepEqual(columns, {
+        '2026-10-05': { severity: 'error', messages: ['不足'] },
+        '2026-10-06': { severity: 'error', messages: ['不足'] },
+    });
+});
+
+const lockedData = {
+    '2026-10-05': [{ employee: 'a', shift: 'night', locked: true }, { employee: 'b', shift: 'day' }],
+};
+
+test('setCells 不修改有鎖定班次的格子', () => {
+    const after = ScheduleMatrix.setCells(lockedData, [
+        { employee: 'a', date: '2026-10-05', shifts: [] },
+        { employee: 'b', date: '2026-10-05', shifts: ['evening'] },
+    ]);
+    assert.deepEqual(after['2026-10-05'], [{ employee: 'a', shift: 'night', locked: true }, { employee: 'b', shift: 'evening' }]);
+});
+
+test('moveCell 不移動或互換鎖定的班次', () => {
+    const a = { employee: 'a', date: '2026-10-05' };
+    const b = { employee: 'b', date: '2026-10-05' };
+    [[a, b], [b, a], [a, { employee: 'c', date: '2026-10-06' }]].forEach(([from, to]) => {
+        const result = ScheduleMatrix.moveCell(lockedData, from, to, context);
+        assert.equal(result.scheduleData, null);
+        assert.match(result.error, /已鎖定/);
+    });
+});
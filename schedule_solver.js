@@ -0,0 +1,422 @@
+/**
+ * @file schedule_solver.js
+ * @description 最佳化排班求解器。
+ * 先以回溯搜尋（優先處理可選人數最少的班次）找出滿足所有硬性規則的排法，
+ * 再以局部搜尋（換人、互換）在時間限制內降低公平性/偏好成本。
+ * 硬性規則與成本都由呼叫端提供，求解器本身不認得任何規則類型。
+ * 搜尋寫成 generator，solveAsync 每執行一小段就讓出執行緒，搜尋期間畫面仍可操作。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    // 定義求解器物件
+    const ScheduleSolver = {};
+
+    // 局部搜尋連續多少次沒有改善就提早結束
+    const MAX_IDLE_MOVES = 3000;
+
+    // 成本至少下降這麼多才算改善（成本逐次累加變化量，避免浮點數誤差被當成改善）
+    const COST_EPSILON = 1e-9;
+
+    // solveAsync 每段最多連續執行多久（毫秒）才讓出執行緒
+    const SLICE_MS = 50;
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * 將排班表中的某個員工加入指定日期
+     */
+    function addEntry(schedule, date, employee, shift) {
+        if (!schedule[date]) schedule[date] = [];
+        schedule[date].push({ employee, shift });
+    }
+
+    /**
+     * 從排班表中移除某個員工在指定日期、班次的排班
+     */
+    function removeEntry(schedule, date, employee, shift) {
+        const shifts = schedule[date] || [];
+        const index = shifts.findIndex(s => s.employee === employee && s.shift === shift);
+        if (index !== -1) shifts.splice(index, 1);
+        if (shifts.length === 0) delete schedule[date];
+    }
+
+    /**
+     * 排入一個職位：同時更新工作中的排班表（含原有班次）與新排的班次，成本只加上這個職位造成的變化
+     */
+    function assign(state, date, employee, shift) {
+        addEntry(state.schedule, date, employee, shift);
+        addEntry(state.added, date, employee, shift);
+        state.currentCost += state.cost.change(employee, date, shift, 1);
+    }
+
+    /**
+     * 移除一個新排的職位，與 assign 相反
+     */
+    function unassign(state, date, employee, shift) {
+        removeEntry(state.schedule, date, employee, shift);
+        removeEntry(state.added, date, employee, shift);
+        state.currentCost += state.cost.change(employee, date, shift, -1);
+    }
+
+    /**
+     * 深複製排班表（只有一層物件陣列）
+     */
+    function cloneSchedule(schedule) {
+        const copy = {};
+        Object.entries(schedule).forEach(([date, shifts]) => { copy[date] = shifts.map(s => ({ ...s })); });
+        return copy;
+    }
+
+    /**
+     * 以原有的班次加上 added 重建工作中的排班表，並重新計算成本
+     */
+    function restore(state, added) {
+        state.schedule = cloneSchedule(state.existing);
+        Object.entries(added).forEach(([date, shifts]) => {
+            state.schedule[date] = [...(state.schedule[date] || []), ...shifts.map(s => ({ ...s }))];
+        });
+        state.added = cloneSchedule(added);
+        state.currentCost = state.cost.total(state.added);
+    }
+
+    /**
+     * 讓出執行緒時回報的進度
+     */
+    function progress(state) {
+        return { elapsedMs: Date.now() - state.startedAt, timeBudgetMs: state.timeBudgetMs, filled: state.bestFilled };
+    }
+
+    /**
+     * 計算排班表中已填入的職位數
+     */
+    function countAssigned(schedule) {
+        return Object.values(schedule).reduce((sum, shifts) => sum + shifts.length, 0);
+    }
+
+    /**
+     * 取得某個班次目前新排入的員工
+     */
+    function getAssignedEmployees(schedule, slot) {
+        return (schedule[slot.date] || []).filter(s => s.shift === slot.shift).map(s => s.employee);
+    }
+
+    /**
+     * 加入某位員工後，班次剩下的名額是否仍足以補齊每一項人員條件（如至少一位具備某技能的人）
+     */
+    function fitsRequirements(schedule, slot, employee) {
+        if (!slot || !slot.requirements) return true;
+        const assigned = [...getAssignedEmployees(schedule, slot), employee];
+        const openings = slot.required - assigned.length;
+        return slot.requirements.every(req => req.count - assigned.filter(req.qualifies).length <= openings);
+    }
+
+    /**
+     * 列出某個班次目前可以排入的員工（同一天尚未排班、通過硬性規則且不會讓人員條件無法補齊）
+     */
+    function getCandidates(state, slot) {
+        const busy = (state.schedule[slot.date] || []).map(s => s.employee);
+        return state.employees.filter(emp => !busy.includes(emp)
+            && fitsRequirements(state.added, slot, emp)
+            && state.canWork(emp, slot.date, slot.shift, state.schedule).canWork);
+    }
+
+    /**
+     * 以目前排班表為準，收集每位員工無法排入某班次的原因
+     */
+    function explainSlot(state, slot) {
+        const busy = (state.schedule[slot.date] || []).map(s => s.employee);
+        return state.employees.map(employee => {
+            if (busy.includes(employee)) return { employee, reason: '本日已有排班' };
+            const check = state.canWork(employee, slot.date, slot.shift, state.schedule);
+            return { employee, reason: check.canWork ? null : check.reason };
+        }).filter(r => r.reason);
+    }
+
+    // --- 第一階段：回溯搜尋 ---
+
+    /**
+     * 回溯搜尋：每一步挑選可選人數最少的班次，依成本由低到高嘗試候選人。
+     * 找到全部填滿的排法即回傳 true；逾時或確定無解時回傳 false。
+     */
+    function* backtrack(state, openSlots) {
+        if (state.isTimeUp()) return false;
+        if (state.shouldYield()) yield progress(state);
+
+        let chosen = null;
+        let chosenCandidates = null;
+        for (const slot of openSlots) {
+            if (getAssignedEmployees(state.added, slot).length >= slot.required) continue;
+            const candidates = getCandidates(state, slot);
+            if (!chosen || candidates.length < chosenCandidates.length) {
+                chosen = slot;
+                chosenCandidates = candidates;
+                if (candidates.length === 0) break;
+            }
+        }
+
+        const filled = countAssigned(state.added);
+        if (filled > state.bestFilled) {
+            state.bestFilled = filled;
+            state.best = cloneSchedule(state.added);
+        }
+        if (!chosen) return true;
+        if (chosenCandidates.length === 0) return false;
+
+        const ordered = chosenCandidates.map(employee => {
+            const delta = state.cost.change(employee, chosen.date, chosen.shift, 1);
+            state.cost.change(employee, chosen.date, chosen.shift, -1);
+            return { employee, delta };
+        }).sort((a, b) => a.delta - b.delta);
+
+        for (const { employee } of ordered) {
+            state.nodes++;
+            assign(state, chosen.date, employee, chosen.shift);
+            if (yield* backtrack(state, openSlots)) return true;
+            unassign(state, chosen.date, employee, chosen.shift);
+            if (state.isTimeUp()) return false;
+        }
+        return false;
+    }
+
+    // --- 第二階段：局部搜尋 ---
+
+    /**
+     * 嘗試把某個職位換成另一位員工，成本下降才接受；回傳是否接受
+     */
+    function tryReplace(state, position) {
+        const { date, shift, employee } = position;
+        const busy = (state.schedule[date] || []).map(s => s.employee);
+        const others = state.employees.filter(emp => !busy.includes(emp));
+        if (others.length === 0) return false;
+        const replacement = others[Math.floor(Math.random() * others.length)];
+
+        const currentCost = state.currentCost;
+        unassign(state, date, employee, shift);
+        if (fitsRequirements(state.added, state.slotsByKey.get(`${date}|${shift}`), replacement)
+            && state.canWork(replacement, date, shift, state.schedule).canWork) {
+            assign(state, date, replacement, shift);
+            if (state.currentCost < currentCost - COST_EPSILON) return true;
+            unassign(state, date, replacement, shift);
+        }
+        assign(state, date, employee, shift);
+        state.currentCost = currentCost;
+        return false;
+    }
+
+    /**
+     * 嘗試互換兩個不同日期職位上的員工，兩邊都通過硬性規則且成本下降才接受；回傳是否接受
+     */
+    function trySwap(state, first, second) {
+        if (first.date === second.date || first.employee === second.employee) return false;
+        const busyOnSecond = (state.schedule[second.date] || []).some(s => s.employee === first.employee);
+        const busyOnFirst = (state.schedule[first.date] || []).some(s => s.employee === second.employee);
+        if (busyOnSecond || busyOnFirst) return false;
+
+        const firstSlot = state.slotsByKey.get(`${first.date}|${first.shift}`);
+        const secondSlot = state.slotsByKey.get(`${second.date}|${second.shift}`);
+        const currentCost = state.currentCost;
+        unassign(state, first.date, first.employee, first.shift);
+        unassign(state, second.date, second.employee, second.shift);
+        if (fitsRequirements(state.added, firstSlot, second.employee)
+            && state.canWork(second.employee, first.date, first.shift, state.schedule).canWork) {
+            assign(state, first.date, second.employee, first.shift);
+            if (fitsRequirements(state.added, secondSlot, first.employee)
+                && state.canWork(first.employee, second.date, second.shift, state.schedule).canWork) {
+                assign(state, second.date, first.employee, second.shift);
+                if (state.currentCost < currentCost - COST_EPSILON) return true;
+                unassign(state, second.date, first.employee, second.shift);
+            }
+            unassign(state, first.date, second.employee, first.shift);
+        }
+        assign(state, first.date, first.employee, first.shift);
+        assign(state, second.date, second.employee, second.shift);
+        state.currentCost = currentCost;
+        return false;
+    }
+
+    /**
+     * 嘗試補上仍有空缺的班次（局部搜尋換人後，原本排不進去的人可能變得可以排）
+     */
+    function tryFillOpenSlots(state, slots) {
+        let filled = 0;
+        slots.forEach(slot => {
+            while (getAssignedEmployees(state.added, slot).length < slot.required) {
+                const candidates = getCandidates(state, slot);
+                if (candidates.length === 0) break;
+                assign(state, slot.date, candidates[0], slot.shift);
+                filled++;
+            }
+        });
+        return filled;
+    }
+
+    /**
+     * 局部搜尋：隨機換人或互換，只接受成本下降的變動，直到逾時或長時間沒有改善
+     */
+    function* localSearch(state, slots) {
+        let idleMoves = 0;
+        while (!state.isTimeUp() && idleMoves < MAX_IDLE_MOVES) {
+            if (state.shouldYield()) yield progress(state);
+            // 只移動新排的班次，原有的班次保持不變
+            const positions = [];
+            Object.entries(state.added).forEach(([date, shifts]) => {
+                shifts.forEach(s => positions.push({ date, shift: s.shift, employee: s.employee }));
+            });
+            if (positions.length === 0) break;
+
+            const first = positions[Math.floor(Math.random() * positions.length)];
+            let improved;
+            if (Math.random() < 0.5) {
+                improved = tryReplace(state, first);
+            } else {
+                const second = positions[Math.floor(Math.random() * positions.length)];
+                improved = trySwap(state, first, second);
+            }
+            state.moves++;
+
+            if (improved) {
+                idleMoves = 0;
+                tryFillOpenSlots(state, slots);
+            } else {
+                idleMoves++;
+            }
+        }
+    }
+
+    // --- 求解流程 ---
+
+    /**
+     * 求解的主流程；shouldYield() 為 true 時 yield 目前的進度，由 solve / solveAsync 決定何時繼續
+     */
+    function* search(params, shouldYield) {
+        const { slots, employees, existing = {}, canWork, cost, timeBudgetMs = 5000 } = params;
+        const startedAt = Date.now();
+        const deadline = startedAt + timeBudgetMs;
+        const state = {
+            employees, existing, canWork, cost, startedAt, timeBudgetMs, shouldYield,
+            schedule: null,
+            added: null,
+            currentCost: 0,
+            best: {},
+            bestFilled: 0,
+            nodes: 0,
+            moves: 0,
+            slotsByKey: new Map(),
+            isTimeUp: () => Date.now() > deadline,
+        };
+        restore(state, {});
+
+        // 先找出不可能填滿的班次：即使不排其他新班次，符合條件的人數也不夠
+        const impossibleSlots = new Map();
+        const eligibleBySlot = new Map();
+        for (const slot of slots) {
+            if (shouldYield()) yield progress(state);
+            const eligible = employees.filter(emp => !(state.schedule[slot.date] || []).some(s => s.employee === emp)
+                && canWork(emp, slot.date, slot.shift, state.schedule).canWork);
+            eligibleBySlot.set(slot, eligible);
+            if (eligible.length < slot.required) impossibleSlots.set(slot, eligible.length);
+        }
+
+        // 不可能填滿的班次只要求現有可排的人數，人員條件也只要求現有符合的人數，避免回溯搜尋在無解的班次上耗盡時間
+        const searchSlots = slots.map(slot => {
+            const required = impossibleSlots.has(slot) ? impossibleSlots.get(slot) : slot.required;
+            const requirements = slot.requirements && slot.requirements.map(req => ({
+                ...req,
+                count: Math.min(req.count, required, eligibleBySlot.get(slot).filter(req.qualifies).length),
+            }));
+            const searchSlot = { ...slot, required, requirements };
+            state.slotsByKey.set(`${slot.date}|${slot.shift}`, searchSlot);
+            return searchSlot;
+        });
+        const complete = yield* backtrack(state, searchSlots);
+        if (!complete) restore(state, state.best);
+
+        yield* localSearch(state, searchSlots);
+        tryFillOpenSlots(state, searchSlots);
+        // 人員條件無法同時滿足時，仍以可排的人補足人數（未滿足的條件由呼叫端的規則檢查列出）
+        tryFillOpenSlots(state, searchSlots.map(({ requirements, ...slot }) => slot));
+
+        const unfilled = [];
+        slots.forEach(slot => {
+            const assigned = getAssignedEmployees(state.added, slot).length;
+            if (assigned >= slot.required) return;
+            unfilled.push({
+                date: slot.date,
+                shift: slot.shift,
+                required: slot.required,
+                assigned,
+                impossible: impossibleSlots.has(slot),
+                reasons: explainSlot(state, slot),
+            });
+        });
+
+        return {
+            schedule: state.added,
+            unfilled,
+            cost: cost.total(state.added),
+            complete: unfilled.length === 0,
+            timedOut: state.isTimeUp(),
+            nodes: state.nodes,
+            moves: state.moves,
+        };
+    }
+
+    // --- 公開的求解函式 ---
+
+    /**
+     * 在時間限制內為所有班次找出排法。
+     * @param {object} params
+     * @param {Array<{date: string, shift: string, required: number, requirements?: Array<{count: number, qualifies: function}>}>} params.slots - 需要排班的班次與人數；
+     * requirements 為選填的人員條件，每一項要求排入的人中至少 count 位讓 qualifies(employee) 為 true
+     * @param {string[]} params.employees - 可排班的員工
+     * @param {object} [params.existing={}] - 原有的排班，求解器不會移動這些班次
+     * @param {function} params.canWork - (employee, date, shift, schedule) => { canWork, reason }，
+     * schedule 為原有的班次加上本次新排的班次（整個搜尋過程共用同一份，不可修改）
+     * @param {{total: function, change: function}} params.cost - 新排班次的成本，越低越好：
+     * total(schedule) 以只含新排班次的 schedule 重新計算成本；change(employee, date, shift, sign) 回傳排入（sign 為 1）或移除（sign 為 -1）一個職位後成本的變化，並記下這次變動
+     * @param {number} [params.timeBudgetMs=5000] - 時間限制（毫秒）
+     * @returns {{schedule: object, unfilled: Array, cost: number, complete: boolean, timedOut: boolean, nodes: number, moves: number}}
+     * schedule 只含本次新排的班次；unfilled 中每一項為 { date, shift, required, assigned, impossible, reasons: [{ employee, reason }] }；
+     * impossible 表示即使不排其他新班次也找不到足夠的人，其餘則是在時間限制內未能排入。
+     */
+    ScheduleSolver.solve = function(params) {
+        const steps = search(params, () => false);
+        let step = steps.next();
+        while (!step.done) step = steps.next();
+        return step.value;
+    };
+
+    /**
+     * 與 solve 相同，但每執行一小段就讓出執行緒，搜尋期間畫面仍可操作。
+     * @param {object} params - 同 solve
+     * @param {function} [onProgress] - 每次讓出執行緒時以 { elapsedMs, timeBudgetMs, filled } 呼叫
+     * @returns {Promise<object>} 同 solve 的回傳值
+     */
+    ScheduleSolver.solveAsync = function(params, onProgress) {
+        return new Promise((resolve, reject) => {
+            let sliceEnd = 0;
+            const steps = search(params, () => Date.now() > sliceEnd);
+            const runSlice = () => {
+                try {
+                    sliceEnd = Date.now() + SLICE_MS;
+                    const step = steps.next();
+                    if (step.done) {
+                        resolve(step.value);
+                        return;
+                    }
+                    if (onProgress) onProgress(step.value);
+                    setTimeout(runSlice, 0);
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            setTimeout(runSlice, 0);
+        });
+    };
+
+    window.ScheduleSolver = ScheduleSolver;
+
+})(window);
@@ -0,0 +1,151 @@
+/**
+ * @file schedule_solver.test.js
+ * @description 最佳化排班求解器的測試（以 node --test 執行）。
+ * schedule_solver.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+require('./schedule_solver.js');
+const { ScheduleSolver } = globalThis;
+
+const employees = ['a', 'b', 'c'];
+const dates = ['2026-10-05', '2026-10-06', '2026-10-07'];
+
+/**
+ * 只有「同一天不重複」與「不能連續兩天上班」兩條硬性規則
+ */
+const canWork = (employee, date, shift, schedule) => {
+    const day = Number(date.slice(-2));
+    const neighbours = [day - 1, day + 1].map(d => `2026-10-${String(d).padStart(2, '0')}`);
+    if (neighbours.some(d => (schedule[d] || []).some(s => s.employee === employee))) {
+        return { canWork: false, reason: '不能連續上班' };
+    }
+    return { canWork: true, reason: null };
+};
+
+/**
+ * 成本為每人班數的平方和，越平均越低；change 只更新變動的那個人
+ */
+const createCost = () => {
+    let counts = {};
+    return {
+        total: (schedule) => {
+            counts = {};
+            Object.values(schedule).flat().forEach(s => { counts[s.employee] = (counts[s.employee] || 0) + 1; });
+            return Object.values(counts).reduce((sum, n) => sum + n * n, 0);
+        },
+        change: (employee, date, shift, sign) => {
+            const n = counts[employee] || 0;
+            counts[employee] = n + sign;
+            return (n + sign) ** 2 - n ** 2;
+        },
+    };
+};
+
+const countShifts = (schedule) => Object.values(schedule).reduce((sum, shifts) => sum + shifts.length, 0);
+
+test('有解時填滿所有班次', () => {
+    const slots = dates.map(date => ({ date, shift: 'day', required: 1 }));
+    const result = ScheduleSolver.solve({ slots, employees, canWork, cost: createCost(), timeBudgetMs: 1000 });
+    assert.equal(result.complete, true);
+    assert.deepEqual(result.unfilled, []);
+    assert.equal(countShifts(result.schedule), 3);
+    dates.forEach(date => assert.equal(result.schedule[date].length, 1));
+    assert.equal(result.cost, createCost().total(result.schedule));
+});
+
+test('符合條件的人數不足時列為無法填滿，並附上每個人的原因', () => {
+    const onlyA = (employee, date, shift, schedule) => employee === 'a' ? canWork(employee, date, shift, schedule) : { canWork: false, reason: '未受訓' };
+    const slots = [{ date: '2026-10-05', shift: 'day', required: 2 }];
+    const result = ScheduleSolver.solve({ slots, employees, canWork: onlyA, cost: createCost(), timeBudgetMs: 1000 });
+    assert.equal(result.complete, false);
+    assert.deepEqual(result.schedule['2026-10-05'], [{ employee: 'a', shift: 'day' }]);
+    assert.equal(result.unfilled.length, 1);
+    const [slot] = result.unfilled;
+    assert.equal(slot.impossible, true);
+    assert.equal(slot.required, 2);
+    assert.equal(slot.assigned, 1);
+    assert.deepEqual(slot.reasons, [
+        { employee: 'a', reason: '本日已有排班' },
+        { employee: 'b', reason: '未受訓' },
+        { employee: 'c', reason: '未受訓' },
+    ]);
+});
+
+test('時間用完時回傳目前最好的排法與未填的班次', (t) => {
+    // 每次讀取時間都前進 1 秒，5 秒的時間限制很快就會用完
+    let now = 0;
+    t.mock.method(Date, 'now', () => (now += 1000));
+    const slots = dates.map(date => ({ date, shift: 'day', required: 2 }));
+    const result = ScheduleSolver.solve({ slots, employees, canWork, cost: createCost(), timeBudgetMs: 5000 });
+    assert.equal(result.timedOut, true);
+    assert.equal(result.complete, false);
+    assert.ok(result.unfilled.length > 0);
+    result.unfilled.forEach(slot => {
+        assert.equal(slot.impossible, false);
+        assert.ok(slot.assigned < slot.required);
+    });
+    assert.equal(countShifts(result.schedule) + result.unfilled.reduce((sum, s) => sum + s.required - s.assigned, 0), 6);
+});
+
+test('人員條件：保留名額給具備技能的人', () => {
+    // 只有 c 具備技能，每班 2 人且至少 1 人具備技能
+    const isSkilled = employee => employee === 'c';
+    const slots = [{ date: '2026-10-05', shift: 'day', required: 2, requirements: [{ count: 1, qualifies: isSkilled }] }];
+    const result = ScheduleSolver.solve({ slots, employees, canWork, cost: createCost(), timeBudgetMs: 1000 });
+    assert.equal(result.complete, true);
+    const assigned = result.schedule['2026-10-05'].map(s => s.employee);
+    assert.equal(assigned.length, 2);
+    assert.ok(assigned.includes('c'));
+});
+
+test('人員條件無法滿足時仍補足人數', () => {
+    const slots = [{ date: '2026-10-05', shift: 'day', required: 2, requirements: [{ count: 1, qualifies: () => false }] }];
+    const result = ScheduleSolver.solve({ slots, employees, canWork, cost: createCost(), timeBudgetMs: 1000 });
+    assert.equal(result.schedule['2026-10-05'].length, 2);
+    assert.deepEqual(result.unfilled, []);
+});
+
+test('原有的班次不會被移動，檢查規則時一併看到', () => {
+    // a、b 已排 10/06，依「不能連續上班」10/05 與 10/07 都只能排 c
+    const existing = { '2026-10-06': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'day' }] };
+    const slots = ['2026-10-05', '2026-10-06', '2026-10-07'].map(date => ({ date, shift: 'day', required: 1 }));
+    const result = ScheduleSolver.solve({ slots, employees, existing, canWork, cost: createCost(), timeBudgetMs: 1000 });
+    assert.deepEqual(result.schedule, {
+        '2026-10-05': [{ employee: 'c', shift: 'day' }],
+        '2026-10-07': [{ employee: 'c', shift: 'day' }],
+    });
+    // 10/06 還缺 1 人：a、b 當天已有排班，c 前後兩天都上班
+    assert.equal(result.unfilled.length, 1);
+    assert.deepEqual(result.unfilled[0].reasons, [
+        { employee: 'a', reason: '本日已有排班' },
+        { employee: 'b', reason: '本日已有排班' },
+        { employee: 'c', reason: '不能連續上班' },
+    ]);
+    assert.deepEqual(existing, { '2026-10-06': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'day' }] });
+});
+
+test('solveAsync 分段執行：每段之間讓出執行緒並回報進度', async (t) => {
+    // 每次讀取時間都前進 20 毫秒，每段執行不久就會讓出執行緒
+    let now = 0;
+    t.mock.method(Date, 'now', () => (now += 20));
+    const progress = [];
+    const slots = dates.map(date => ({ date, shift: 'day', required: 1 }));
+    const result = await ScheduleSolver.solveAsync({ slots, employees, canWork, cost: createCost(), timeBudgetMs: 5000 }, p => progress.push(p));
+    assert.ok(progress.length > 0);
+    progress.forEach(p => assert.equal(p.timeBudgetMs, 5000));
+    assert.ok(progress[progress.length - 1].elapsedMs > progress[0].elapsedMs);
+    assert.equal(result.complete, true);
+    assert.equal(countShifts(result.schedule), 3);
+});
+
+test('solveAsync 在 canWork 拋出錯誤時 reject', async () => {
+    const slots = [{ date: '2026-10-05', shift: 'day', required: 1 }];
+    const failing = () => { throw new Error('規則錯誤'); };
+    await assert.rejects(ScheduleSolver.solveAsync({ slots, employees, canWork: failing, cost: createCost() }), /規則錯誤/);
+});
@@ -0,0 +1,202 @@
+/**
+ * @file schedule_swap.js
+ * @description 讓班與換班。
+ * 員工可以把自己的一個班次讓給同事（讓班），或和同事互換各自的一個班次（換班）。
+ * 每個方案都以 RuleEngine 的預檢函式檢查換班後雙方是否違反個人規則、可用性與技能人數，只有合規的方案才能提出申請；
+ * 申請核准時會再檢查一次，並一次套用兩邊的異動。
+ * 本模組不操作畫面，也不直接讀寫 localStorage。須在 scheduling_rules.js 之後載入。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const RuleEngine = window.RuleEngine;
+
+    // 定義換班物件
+    const ScheduleSwap = {};
+
+    let requestCounter = 0;
+
+    // --- 內部輔助函式 ---
+
+    function findShiftIndex(scheduleData, { employee, date, shift }) {
+        return (scheduleData[date] || []).findIndex(s => s.employee === employee && s.shift === shift);
+    }
+
+    function getShiftName(shiftDefinitions, key) {
+        return shiftDefinitions[key]?.name || key;
+    }
+
+    /**
+     * 換班後各自要上的班：讓班只有接手的同事，換班則雙方都有
+     */
+    function getNewAssignments(swap) {
+        const assignments = [{ employee: swap.to.employee, date: swap.from.date, shift: swap.from.shift }];
+        if (swap.type === 'trade') assignments.push({ employee: swap.from.employee, date: swap.to.date, shift: swap.to.shift });
+        return assignments;
+    }
+
+    // --- 公開函式 ---
+
+    /**
+     * 套用讓班或換班（不修改傳入的排班資料）
+     * @param {object} scheduleData - 目前的排班資料
+     * @param {object} swap - { type: 'giveaway' | 'trade', from: { employee, date, shift }, to: { employee, date, shift } }
+     * 讓班時 to 只需要 employee。
+     * @returns {?object} 換班後的排班資料；原本的班次已不存在時為 null
+     */
+    ScheduleSwap.applySwap = function(scheduleData, swap) {
+        const fromIndex = findShiftIndex(scheduleData, swap.from);
+        if (fromIndex === -1) return null;
+        const toIndex = swap.type === 'trade' ? findShiftIndex(scheduleData, swap.to) : null;
+        if (toIndex === -1) return null;
+
+        const after = JSON.parse(JSON.stringify(scheduleData));
+        after[swap.from.date][fromIndex].employee = swap.to.employee;
+        if (swap.type === 'trade') after[swap.to.date][toIndex].employee = swap.from.employee;
+        return after;
+    };
+
+    /**
+     * 檢查讓班或換班是否合規
+     * @param {object} scheduleData - 目前的排班資料
+     * @param {object} swap - 同 applySwap
+     * @param {object} context - { employees, employeeRules, shiftRules, employeeAvailability, holidayDates, shiftDefinitions, maxConsecutiveDays, enforce24HourForAll, enforceShiftGapForAll }，
+     * employees 為員工資料陣列；maxConsecutiveDays 與 enforce*ForAll 為排班設定中的全域限制，與自動排班相同（見 RuleEngine.checkAssignment）
+     * @returns {{valid: boolean, problems: string[], warnings: string[], scheduleData: ?object}}
+     * problems 為不可換班的原因（班次已鎖定、不可上班、當天已有排班、違反個人規則、技能人數不足）；warnings 為不影響合規的提醒（希望休假）。
+     */
+    ScheduleSwap.checkSwap = function(scheduleData, swap, context) {
+        const { employees = [], employeeRules = [], shiftRules = [], employeeAvailability = {}, holidayDates = {}, shiftDefinitions = RuleEngine.DEFAULT_SHIFT_DEFINITIONS,
+            maxConsecutiveDays, enforce24HourForAll = false, enforceShiftGapForAll = false } = context;
+        const records = Object.fromEntries(employees.map(e => [e.id, e]));
+        const nameOf = (id) => records[id]?.name || id;
+        const problems = [];
+        const warnings = [];
+
+        const missing = [swap.from.employee, swap.to.employee].filter(id => !records[id]);
+        if (missing.length > 0) {
+            return { valid: false, problems: missing.map(id => `${nameOf(id)}：員工已不存在`), warnings, scheduleData: null };
+        }
+        const after = ScheduleSwap.applySwap(scheduleData, swap);
+        if (!after) return { valid: false, problems: ['原本的班次已被修改或刪除'], warnings, scheduleData: null };
+
+        // 鎖定的班次須先解除鎖定才能讓出或換出
+        const lockedShifts = [swap.from, ...(swap.type === 'trade' ? [swap.to] : [])]
+            .filter(s => scheduleData[s.date][findShiftIndex(scheduleData, s)].locked === true);
+        if (lockedShifts.length > 0) {
+            return { valid: false, problems: lockedShifts.map(s => `${nameOf(s.employee)} ${s.date} ${getShiftName(shiftDefinitions, s.shift)}：班次已鎖定，請先解除鎖定`), warnings, scheduleData: null };
+        }
+
+        getNewAssignments(swap).forEach(({ employee, date, shift }) => {
+            const label = `${nameOf(employee)} ${date} ${getShiftName(shiftDefinitions, shift)}`;
+            const state = RuleEngine.getAvailabilityState(employeeAvailability, employee, date, shift);
+            if (state === 'unavailable') problems.push(`${label}：設定為不可上班`);
+            else if (state === 'preferOff') warnings.push(`${label}：希望休假`);
+
+            if (after[date].filter(s => s.employee === employee).length > 1) problems.push(`${label}：當天已有其他排班`);
+
+            const check = RuleEngine.checkAssignment(employee, date, shift, after, {
+                employeeRules, holidayDates, shiftDefinitions, maxConsecutiveDays, enforce24HourForAll, enforceShiftGapForAll
+            });
+            if (!check.canWork) problems.push(`${label}：${check.reason}`);
+        });
+
+        // 換班會改變班次中的人員組成，檢查技能人數是否因此不足
+        const affectedShifts = [swap.from, ...(swap.type === 'trade' ? [swap.to] : [])];
+        affectedShifts.forEach(({ date, shift }) => {
+            shiftRules.filter(r => r.type === 'minSkillStaff' && r.shift === shift).forEach(rule => {
+                const countSkilled = (data) => (data[date] || []).filter(s => s.shift === shift && RuleEngine.hasSkill(records[s.employee], rule.tag)).length;
+                const skilledAfter = countSkilled(after);
+                if (skilledAfter < rule.value && skilledAfter < countSkilled(scheduleData)) {
+                    problems.push(`${date} ${getShiftName(shiftDefinitions, shift)}：具備「${rule.tag}」的人員將不足 (換班後: ${skilledAfter}, 需要: ${rule.value})`);
+                }
+            });
+        });
+
+        return { valid: problems.length === 0, problems, warnings, scheduleData: after };
+    };
+
+    /**
+     * 列出每位同事能否接手讓出的班次
+     * @param {object} scheduleData - 目前的排班資料
+     * @param {object} from - 要讓出的班次 { employee, date, shift }
+     * @param {object} context - 同 checkSwap
+     * @returns {Array<{swap: object, valid: boolean, problems: string[], warnings: string[]}>} 合規的方案排在前面
+     */
+    ScheduleSwap.findGiveAwayCandidates = function(scheduleData, from, context) {
+        const options = (context.employees || [])
+            .filter(e => e.id !== from.employee)
+            .map(e => {
+                const swap = { type: 'giveaway', from, to: { employee: e.id, date: null, shift: null } };
+                const { valid, problems, warnings } = ScheduleSwap.checkSwap(scheduleData, swap, context);
+                return { swap, valid, problems, warnings };
+            });
+        return options.sort((a, b) => Number(b.valid) - Number(a.valid));
+    };
+
+    /**
+     * 列出與某位同事互換班次的方案
+     * @param {object} scheduleData - 目前的排班資料
+     * @param {object} from - 要換出的班次 { employee, date, shift }
+     * @param {string} colleague - 同事 id
+     * @param {object} context - 同 checkSwap
+     * @param {object} range - { startDate, endDate }：同事可換的班次範圍（YYYY-MM-DD，含頭尾）
+     * @returns {Array<{swap: object, valid: boolean, problems: string[], warnings: string[]}>} 依日期排序，休假與同一天的同一班次不列入
+     */
+    ScheduleSwap.findTradeOptions = function(scheduleData, from, colleague, context, range) {
+        const { startDate, endDate } = range;
+        const options = [];
+        Object.keys(scheduleData)
+            .filter(date => date >= startDate && date <= endDate)
+            .sort()
+            .forEach(date => {
+                scheduleData[date].forEach(s => {
+                    if (s.employee !== colleague || s.shift === 'off' || (date === from.date && s.shift === from.shift)) return;
+                    const swap = { type: 'trade', from, to: { employee: colleague, date, shift: s.shift } };
+                    const { valid, problems, warnings } = ScheduleSwap.checkSwap(scheduleData, swap, context);
+                    options.push({ swap, valid, problems, warnings });
+                });
+            });
+        return options;
+    };
+
+    /**
+     * 建立待核准的換班申請
+     * @param {object} swap - 同 applySwap
+     * @param {object} params - { user, time }
+     * @returns {object} { id, type, from, to, status: 'pending', requestedBy, requestedAt, decidedBy, decidedAt }
+     */
+    ScheduleSwap.createRequest = function(swap, params = {}) {
+        const { user = '', time = new Date().toISOString() } = params;
+        return {
+            id: `swap-${Date.now().toString(36)}-${(requestCounter++).toString(36)}`,
+            type: swap.type,
+            from: { ...swap.from },
+            to: { ...swap.to },
+            status: 'pending',
+            requestedBy: user,
+            requestedAt: time,
+            decidedBy: null,
+            decidedAt: null,
+        };
+    };
+
+    /**
+     * 取得某月的換班申請（任一方的班次在該月即列入），待核准的排在前面，其餘依申請時間由新到舊
+     * @param {Array<object>} requests - 所有換班申請
+     * @param {number} year
+     * @param {number} month - 0-11
+     * @returns {Array<object>}
+     */
+    ScheduleSwap.getMonthRequests = function(requests, year, month) {
+        const prefix = `${year}-${String(month + 1).padStart(2, '0')}-`;
+        return requests
+            .filter(r => r.from.date.startsWith(prefix) || (r.to.date || '').startsWith(prefix))
+            .sort((a, b) => Number(b.status === 'pending') - Number(a.status === 'pending') || b.requestedAt.localeCompare(a.requestedAt));
+    };
+
+    window.ScheduleSwap = ScheduleSwap;
+
+})(window);
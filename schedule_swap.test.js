@@ -0,0 +1,146 @@
+/**
+ * @file schedule_swap.test.js
+ * @description 讓班與換班的測試，包括遇到鎖定的班次（以 node --test 執行）。
+ * schedule_swap.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+globalThis.RuleEngine = require('./scheduling_rules.js');
+require('./schedule_swap.js');
+const { ScheduleSwap } = globalThis;
+
+const context = {
+    employees: [
+        { id: 'a', name: '王小明', role: '', seniority: 0, tags: ['ACLS'] },
+        { id: 'b', name: '李小華', role: '', seniority: 0, tags: [] },
+        { id: 'c', name: '陳大文', role: '', seniority: 0, tags: [] },
+    ],
+};
+
+const scheduleData = {
+    '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'evening' }],
+    '2026-10-06': [{ employee: 'c', shift: 'day' }],
+};
+
+const giveaway = (employee) => ({ type: 'giveaway', from: { employee: 'a', date: '2026-10-05', shift: 'day' }, to: { employee, date: null, shift: null } });
+
+test('讓班：套用後不修改原本的排班資料', () => {
+    const result = ScheduleSwap.checkSwap(scheduleData, giveaway('c'), context);
+    assert.deepEqual(result, {
+        valid: true,
+        problems: [],
+        warnings: [],
+        scheduleData: { ...scheduleData, '2026-10-05': [{ employee: 'c', shift: 'day' }, { employee: 'b', shift: 'evening' }] },
+    });
+    assert.equal(scheduleData['2026-10-05'][0].employee, 'a');
+});
+
+test('換班：雙方互換各自的班次', () => {
+    const trade = { type: 'trade', from: { employee: 'a', date: '2026-10-05', shift: 'day' }, to: { employee: 'c', date: '2026-10-06', shift: 'day' } };
+    const result = ScheduleSwap.checkSwap(scheduleData, trade, context);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.scheduleData['2026-10-05'][0], { employee: 'c', shift: 'day' });
+    assert.deepEqual(result.scheduleData['2026-10-06'], [{ employee: 'a', shift: 'day' }]);
+});
+
+test('不可上班、當天已有排班與個人規則為問題，希望休假只是提醒', () => {
+    const employeeAvailability = {
+        b: { '2026-10-05': { day: 'unavailable' } },
+        c: { '2026-10-05': { all: 'preferOff' } },
+    };
+    const employeeRules = [{ employee: 'c', type: 'maxConsecutiveWorkDays', value: 1 }];
+    const withC = { ...scheduleData, '2026-10-04': [{ employee: 'c', shift: 'day' }] };
+    const options = { ...context, employeeAvailability, employeeRules };
+
+    const toB = ScheduleSwap.checkSwap(withC, giveaway('b'), options);
+    assert.equal(toB.valid, false);
+    assert.deepEqual(toB.problems, ['李小華 2026-10-05 平日白班：設定為不可上班', '李小華 2026-10-05 平日白班：當天已有其他排班']);
+
+    const toC = ScheduleSwap.checkSwap(withC, giveaway('c'), options);
+    assert.deepEqual(toC.problems, ['陳大文 2026-10-05 平日白班：已達最大連續工作天(1)']);
+    assert.deepEqual(toC.warnings, ['陳大文 2026-10-05 平日白班：希望休假']);
+});
+
+test('換班後技能人數不足時不可換班', () => {
+    const shiftRules = [{ shift: 'day', type: 'minSkillStaff', tag: 'ACLS', value: 1 }];
+    const result = ScheduleSwap.checkSwap(scheduleData, giveaway('c'), { ...context, shiftRules });
+    assert.deepEqual(result.problems, ['2026-10-05 平日白班：具備「ACLS」的人員將不足 (換班後: 0, 需要: 1)']);
+});
+
+test('原本的班次或員工已不存在時不可換班', () => {
+    const gone = { ...giveaway('c'), from: { employee: 'a', date: '2026-10-05', shift: 'night' } };
+    assert.deepEqual(ScheduleSwap.checkSwap(scheduleData, gone, context).problems, ['原本的班次已被修改或刪除']);
+    assert.deepEqual(ScheduleSwap.checkSwap(scheduleData, giveaway('x'), context).problems, ['x：員工已不存在']);
+});
+
+test('列出可接手的同事與可互換的班次', () => {
+    const employeeAvailability = { c: { '2026-10-05': { all: 'unavailable' } } };
+    const candidates = ScheduleSwap.findGiveAwayCandidates(scheduleData, giveaway('c').from, { ...context, employeeAvailability });
+    assert.deepEqual(candidates.map(c => [c.swap.to.employee, c.valid]), [['b', false], ['c', false]]);
+    assert.deepEqual(ScheduleSwap.findGiveAwayCandidates(scheduleData, giveaway('c').from, context).map(c => [c.swap.to.employee, c.valid]), [['c', true], ['b', false]]);
+
+    // 只列出 c 的班次（b 在 10/7 的白班不列入）；a 設定 10/7 不可上班，該方案不合規
+    const withC = { ...scheduleData, '2026-10-07': [{ employee: 'c', shift: 'day' }, { employee: 'b', shift: 'day' }] };
+    const unavailable = { a: { '2026-10-07': { all: 'unavailable' } } };
+    const options = ScheduleSwap.findTradeOptions(withC, giveaway('c').from, 'c', { ...context, employeeAvailability: unavailable }, { startDate: '2026-10-01', endDate: '2026-10-31' });
+    assert.deepEqual(options.map(o => [o.swap.to.date, o.swap.to.shift, o.valid]), [['2026-10-06', 'day', true], ['2026-10-07', 'day', false]]);
+});
+
+test('每月申請清單：待核准的在前，其餘由新到舊', () => {
+    const request = (date, status, requestedAt) => ({ ...ScheduleSwap.createRequest(giveaway('c'), { user: '王小明', time: requestedAt }), from: { employee: 'a', date, shift: 'day' }, status });
+    const first = request('2026-10-05', 'approved', '2026-10-01T00:00:00.000Z');
+    const second = request('2026-10-06', 'pending', '2026-10-02T00:00:00.000Z');
+    const third = request('2026-10-07', 'rejected', '2026-10-03T00:00:00.000Z');
+    const other = request('2026-11-01', 'pending', '2026-10-04T00:00:00.000Z');
+    assert.notEqual(first.id, second.id);
+    assert.equal(first.requestedBy, '王小明');
+    assert.deepEqual(ScheduleSwap.getMonthRequests([first, second, third, other], 2026, 9), [second, third, first]);
+});
+
+const lockedData = {
+    '2026-10-05': [{ employee: 'a', shift: 'night', locked: true }, { employee: 'b', shift: 'day' }],
+    '2026-10-06': [{ employee: 'b', shift: 'evening' }],
+};
+
+test('鎖定的班次不能讓出', () => {
+    const swap = { type: 'giveaway', from: { employee: 'a', date: '2026-10-05', shift: 'night' }, to: { employee: 'c', date: null, shift: null } };
+    const result = ScheduleSwap.checkSwap(lockedData, swap, context);
+    assert.equal(result.valid, false);
+    assert.match(result.problems[0], /已鎖定/);
+});
+
+test('換入鎖定的班次也不行，未鎖定的班次照常換班', () => {
+    const locked = { type: 'trade', from: { employee: 'b', date: '2026-10-06', shift: 'evening' }, to: { employee: 'a', date: '2026-10-05', shift: 'night' } };
+    assert.equal(ScheduleSwap.checkSwap(lockedData, locked, context).valid, false);
+
+    const giveaway = { type: 'giveaway', from: { employee: 'b', date: '2026-10-06', shift: 'evening' }, to: { employee: 'c', date: null, shift: null } };
+    const result = ScheduleSwap.checkSwap(lockedData, giveaway, context);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.scheduleData['2026-10-05'], lockedData['2026-10-05']);
+});
+
+test('排班設定中的全域限制：連續工作天上限與班次間隔同樣適用於換班', () => {
+    const data = {
+        '2026-10-01': [{ employee: 'c', shift: 'day' }],
+        '2026-10-02': [{ employee: 'c', shift: 'day' }],
+        '2026-10-03': [{ employee: 'c', shift: 'day' }],
+        '2026-10-04': [{ employee: 'c', shift: 'day' }, { employee: 'b', shift: 'night' }],
+        '2026-10-05': [{ employee: 'a', shift: 'day' }],
+    };
+    // 沒有個人規則、也沒有全域限制時都可以接手
+    assert.equal(ScheduleSwap.checkSwap(data, giveaway('c'), context).valid, true);
+    assert.equal(ScheduleSwap.checkSwap(data, giveaway('b'), context).valid, true);
+
+    const limited = { ...context, maxConsecutiveDays: 4, enforceShiftGapForAll: true };
+    const toC = ScheduleSwap.checkSwap(data, giveaway('c'), limited);
+    assert.equal(toC.valid, false);
+    assert.match(toC.problems[0], /^陳大文 2026-10-05 .*連續工作/);
+    const toB = ScheduleSwap.checkSwap(data, giveaway('b'), limited);
+    assert.equal(toB.valid, false);
+    assert.match(toB.problems[0], /^李小華 2026-10-05 .*休息/);
+});
@@ -0,0 +1,144 @@
+/**
+ * @file schedule_template.js
+ * @description 排班範本。
+ * 從現有排班擷取一段固定週期（如 4 週）的輪班模式，之後可依週期套用到未來的月份；
+ * 套用時只填入員工當天沒有排班的空格，不覆蓋既有排班，剩下的人力缺口再由自動排班補滿。
+ * 本模組不操作畫面，也不直接讀寫 localStorage。須在 scheduling_rules.js 之後載入。
+ * * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const RuleEngine = window.RuleEngine;
+
+    // 定義排班範本物件
+    const ScheduleTemplate = {};
+
+    // 休假不是班次定義中的班次，但可以出現在範本中（套用後自動排班不會在當天排入該員工）
+    const OFF_SHIFT = 'off';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    let templateCounter = 0;
+
+    // --- 內部輔助函式 ---
+
+    function parseDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    function formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    function addDays(dateStr, days) {
+        const date = parseDate(dateStr);
+        date.setDate(date.getDate() + days);
+        return formatDate(date);
+    }
+
+    /**
+     * 兩個日期相差的天數（以 UTC 計算，避免日光節約時間造成誤差）
+     */
+    function daysBetween(fromDate, toDate) {
+        const [fy, fm, fd] = fromDate.split('-').map(Number);
+        const [ty, tm, td] = toDate.split('-').map(Number);
+        return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / DAY_MS);
+    }
+
+    // --- 公開函式 ---
+
+    /**
+     * 從現有排班擷取範本
+     * @param {object} scheduleData - 排班資料
+     * @param {object} params - { name, employees, startDate, cycleDays, time }：employees 為員工 id 陣列，startDate 為週期第一天 YYYY-MM-DD
+     * @returns {object} { id, name, cycleDays, anchorDate, rows, createdAt }
+     * rows[員工] 為長度 cycleDays 的陣列，每天是當天的班次代碼陣列（沒有排班為空陣列）；anchorDate 為週期第一天，套用時依此對齊週期。
+     */
+    ScheduleTemplate.captureTemplate = function(scheduleData, params) {
+        const { name, employees, startDate, cycleDays, time = new Date().toISOString() } = params;
+        const rows = {};
+        employees.forEach(employee => {
+            rows[employee] = Array.from({ length: cycleDays }, (_, index) => (scheduleData[addDays(startDate, index)] || [])
+                .filter(s => s.employee === employee)
+                .map(s => s.shift));
+        });
+        return {
+            id: `template-${Date.now().toString(36)}-${(templateCounter++).toString(36)}`,
+            name,
+            cycleDays,
+            anchorDate: startDate,
+            rows,
+            createdAt: time,
+        };
+    };
+
+    /**
+     * 某日對應範本週期的第幾天（0 起算；早於 anchorDate 的日期往回推算）
+     * @param {object} template - 排班範本
+     * @param {string} dateStr - 日期 YYYY-MM-DD
+     * @returns {number}
+     */
+    ScheduleTemplate.getCycleDay = function(template, dateStr) {
+        const offset = daysBetween(template.anchorDate, dateStr) % template.cycleDays;
+        return offset < 0 ? offset + template.cycleDays : offset;
+    };
+
+    /**
+     * 範本中排入的班次數（不含休假）
+     * @param {object} template - 排班範本
+     * @returns {number}
+     */
+    ScheduleTemplate.countShifts = function(template) {
+        return Object.values(template.rows).flat(2).filter(shift => shift !== OFF_SHIFT).length;
+    };
+
+    /**
+     * 將範本套用到日期範圍（不修改傳入的排班資料）
+     * @param {object} scheduleData - 目前的排班資料
+     * @param {object} template - 排班範本
+     * @param {object} context - { startDate, endDate, employees, employeeAvailability, holidayDates, shiftDefinitions }
+     * startDate / endDate 為 YYYY-MM-DD（含頭尾）；employees 為員工資料陣列；employeeAvailability 應已合併固定可用性規則。
+     * @returns {{scheduleData: object, added: Array<{date, employee, shift}>, skipped: Array<{date, employee, shift, reason}>}}
+     * 員工當天已有排班、已不存在、設定為不可上班，或當天沒有該班次時略過。
+     */
+    ScheduleTemplate.stampTemplate = function(scheduleData, template, context) {
+        const { startDate, endDate, employees = [], employeeAvailability = {}, holidayDates = {}, shiftDefinitions = RuleEngine.DEFAULT_SHIFT_DEFINITIONS } = context;
+        const employeeIds = new Set(employees.map(e => e.id));
+        const after = JSON.parse(JSON.stringify(scheduleData));
+        const added = [];
+        const skipped = [];
+
+        for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+            const cycleDay = ScheduleTemplate.getCycleDay(template, date);
+            const applicable = RuleEngine.getApplicableShifts(date, holidayDates, shiftDefinitions);
+            Object.entries(template.rows).forEach(([employee, days]) => {
+                const shifts = days[cycleDay] || [];
+                if (shifts.length === 0) return;
+                const skip = (reason) => shifts.forEach(shift => skipped.push({ date, employee, shift, reason }));
+                if (!employeeIds.has(employee)) return skip('員工已不存在');
+                if ((after[date] || []).some(s => s.employee === employee)) return skip('當天已有排班');
+
+                shifts.forEach(shift => {
+                    if (shift !== OFF_SHIFT) {
+                        if (!shiftDefinitions[shift]) return skipped.push({ date, employee, shift, reason: '班次已不存在' });
+                        if (!applicable.includes(shift)) return skipped.push({ date, employee, shift, reason: '當天沒有此班次' });
+                        if (RuleEngine.getAvailabilityState(employeeAvailability, employee, date, shift) === 'unavailable') {
+                            return skipped.push({ date, employee, shift, reason: '設定為不可上班' });
+                        }
+                    }
+                    if (!after[date]) after[date] = [];
+                    after[date].push({ employee, shift });
+                    added.push({ date, employee, shift });
+                });
+            });
+        }
+
+        return { scheduleData: after, added, skipped };
+    };
+
+    window.ScheduleTemplate = ScheduleTemplate;
+
+})(window);
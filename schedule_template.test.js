@@ -0,0 +1,79 @@
+/**
+ * @file schedule_template.test.js
+ * @description 排班範本的測試（以 node --test 執行）。
+ * schedule_template.js 是瀏覽器模組，測試時以 globalThis 代替 window 載入。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+globalThis.window = globalThis;
+globalThis.RuleEngine = require('./scheduling_rules.js');
+require('./schedule_template.js');
+const { ScheduleTemplate } = globalThis;
+
+const employees = [{ id: 'a', name: '王小明' }, { id: 'b', name: '李小華' }];
+
+// 2026-10-05（週一）起兩天的輪班：a 白班、休假，b 小夜、小夜
+const scheduleData = {
+    '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'b', shift: 'evening' }],
+    '2026-10-06': [{ employee: 'a', shift: 'off' }, { employee: 'b', shift: 'evening' }],
+};
+
+const capture = () => ScheduleTemplate.captureTemplate(scheduleData, {
+    name: '兩日輪班', employees: ['a', 'b'], startDate: '2026-10-05', cycleDays: 2, time: '2026-10-19T00:00:00.000Z',
+});
+
+test('擷取範本與週期對齊', () => {
+    const template = capture();
+    assert.deepEqual(template.rows, { a: [['day'], ['off']], b: [['evening'], ['evening']] });
+    assert.equal(template.anchorDate, '2026-10-05');
+    assert.equal(template.createdAt, '2026-10-19T00:00:00.000Z');
+    assert.notEqual(template.id, capture().id);
+    assert.equal(ScheduleTemplate.countShifts(template), 3);
+
+    assert.equal(ScheduleTemplate.getCycleDay(template, '2026-10-05'), 0);
+    assert.equal(ScheduleTemplate.getCycleDay(template, '2026-10-08'), 1);
+    // 早於 anchorDate 的日期往回推算
+    assert.equal(ScheduleTemplate.getCycleDay(template, '2026-10-04'), 1);
+    assert.deepEqual(template.rows.a[ScheduleTemplate.getCycleDay(template, '2026-10-03')], ['day']);
+});
+
+test('套用範本只填空格，並列出略過的原因', () => {
+    const template = capture();
+    // 10/13 起對齊週期第一天
+    const current = { '2026-10-13': [{ employee: 'b', shift: 'day' }] };
+    const employeeAvailability = { a: { '2026-10-15': { day: 'unavailable' } } };
+    const result = ScheduleTemplate.stampTemplate(current, template, { startDate: '2026-10-13', endDate: '2026-10-15', employees, employeeAvailability });
+
+    assert.deepEqual(result.added, [
+        { date: '2026-10-13', employee: 'a', shift: 'day' },
+        { date: '2026-10-14', employee: 'a', shift: 'off' },
+        { date: '2026-10-14', employee: 'b', shift: 'evening' },
+        { date: '2026-10-15', employee: 'b', shift: 'evening' },
+    ]);
+    assert.deepEqual(result.skipped, [
+        { date: '2026-10-13', employee: 'b', shift: 'evening', reason: '當天已有排班' },
+        { date: '2026-10-15', employee: 'a', shift: 'day', reason: '設定為不可上班' },
+    ]);
+    assert.deepEqual(result.scheduleData['2026-10-13'], [{ employee: 'b', shift: 'day' }, { employee: 'a', shift: 'day' }]);
+    assert.deepEqual(current, { '2026-10-13': [{ employee: 'b', shift: 'day' }] });
+});
+
+test('週末沒有平日班次，已刪除的員工或班次也會略過', () => {
+    const template = capture();
+    template.rows.c = [['day'], []];
+    template.rows.a = [['swing'], ['day']];
+    // 10/17 為週六、10/18 為週日
+    const result = ScheduleTemplate.stampTemplate({}, template, { startDate: '2026-10-17', endDate: '2026-10-18', employees });
+    assert.deepEqual(result.added, []);
+    assert.deepEqual(result.skipped, [
+        { date: '2026-10-17', employee: 'a', shift: 'swing', reason: '班次已不存在' },
+        { date: '2026-10-17', employee: 'b', shift: 'evening', reason: '當天沒有此班次' },
+        { date: '2026-10-17', employee: 'c', shift: 'day', reason: '員工已不存在' },
+        { date: '2026-10-18', employee: 'a', shift: 'day', reason: '當天沒有此班次' },
+        { date: '2026-10-18', employee: 'b', shift: 'evening', reason: '當天沒有此班次' },
+    ]);
+});
@@ -1,12 +1,26 @@
 /**
  * @file scheduling_rules.js
  * @description 排班規則檢查引擎 (三班制增強版)。
- * 支援平日三班制、假日兩班制、班次間隔規則等新功能。
- * * @version 2.2 - 修正版
+ * 班次由可編輯的班次定義描述（上下班時間、分類、適用日期類型），預設為平日三班制、假日兩班制；
+ * 休息時數與24小時班等規則依班次的實際時間計算；每週工時、每月加班與每七日休息等勞基法規則依班次時數計算（時數歸在上班當天）。
+ * 假日設定可標記放假（假日班）或補班（週末改為平日班），並記錄假日名稱。
+ * 員工可用性可依日期與班次設定為不可上班（衝突）、希望休假或希望上班（未達成時列為提醒），也可設定依星期、每月第幾個星期幾或日期區間重複的固定規則。
+ * 引擎本身不操作畫面：RuleEngine.evaluate 回傳違規物件陣列，月曆標記與提示由 rule_engine_view.js 負責。
+ * 可在瀏覽器/Web Worker 以 <script>、importScripts 載入（window.RuleEngine / self.RuleEngine），
+ * 或在 Node 以 require('./scheduling_rules.js') 使用。本檔不是 ES 模組（沒有 export），
+ * 瀏覽器的 <script type="module"> 無法以 import 載入；Node 的 ES 模組以 import 載入時是經由 CommonJS 相容取得預設匯出。
+ * * @version 3.0 - 無畫面規則引擎
  * @fix 修正了 calculateConsecutiveWorkDays 函式，使其從目標日期的前一天開始計算，以解決自動排班的邏輯錯誤。
  */
 
-(function(window) {
+(function(root, factory) {
+    const RuleEngine = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = RuleEngine;
+    } else {
+        root.RuleEngine = RuleEngine;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
     'use strict';
 
     // 定義規則引擎物件
@@ -26,6 +40,23 @@
         return `${year}-${month}-${day}`;
     }
 
+    // 假日設定的類型：holiday 為放假（假日班），workday 為補班（週末改為平日班）
+    const HOLIDAY_TYPES = ['holiday', 'workday'];
+
+    /**
+     * 取得指定日期的假日設定
+     * holidayDates 的格式為 { 日期: { type, name } }，name 為假日名稱（可為空字串）；舊格式的 true 視為未命名的假日。
+     * @param {object} holidayDates - 假日設定物件
+     * @param {string} dateStr - 日期字串 (YYYY-MM-DD)
+     * @returns {?{type: string, name: string}} 沒有設定時為 null
+     */
+    function getHolidayEntry(holidayDates, dateStr) {
+        const entry = holidayDates && holidayDates[dateStr];
+        if (entry === true) return { type: 'holiday', name: '' };
+        if (!entry || !HOLIDAY_TYPES.includes(entry.type)) return null;
+        return { type: entry.type, name: entry.name || '' };
+    }
+
     /**
      * 檢查指定日期是否為假日
      * @param {string} dateStr - 日期字串 (YYYY-MM-DD)
@@ -33,228 +64,526 @@
      * @returns {boolean} 如果是假日則為 true
      */
     function isHoliday(dateStr, holidayDates) {
-        return holidayDates && holidayDates[dateStr] === true;
+        return getHolidayEntry(holidayDates, dateStr)?.type === 'holiday';
+    }
+
+    /**
+     * 將 YYYY-MM-DD 字串解析為本地時區的日期物件
+     * @param {string} dateStr - 日期字串 (YYYY-MM-DD)
+     * @returns {Date} 日期物件
+     */
+    function parseDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * 取得日期類型：假日（holiday）優先，補班日為平日，其次是週末（weekend），其餘為平日（weekday）
+     * @param {string} dateStr - 日期字串 (YYYY-MM-DD)
+     * @param {object} holidayDates - 假日設定物件
+     * @returns {string} 'weekday'、'weekend' 或 'holiday'
+     */
+    function getDayType(dateStr, holidayDates) {
+        const entry = getHolidayEntry(holidayDates, dateStr);
+        if (entry) return entry.type === 'holiday' ? 'holiday' : 'weekday';
+        const dayOfWeek = parseDate(dateStr).getDay();
+        return dayOfWeek === 0 || dayOfWeek === 6 ? 'weekend' : 'weekday';
+    }
+
+    /**
+     * 檢查班次是否適用於指定日期（依班次定義的 dayTypes）
+     * @param {string} shiftType - 班次類型
+     * @param {string} dateStr - 日期字串 (YYYY-MM-DD)
+     * @param {object} holidayDates - 假日設定物件
+     * @param {object} shiftDefinitions - 班次定義
+     * @returns {boolean} 如果該日有此班次則為 true；已刪除定義的班次不限制日期
+     */
+    function isShiftApplicable(shiftType, dateStr, holidayDates, shiftDefinitions) {
+        if (shiftType === 'off') return true;
+        const definition = shiftDefinitions[shiftType];
+        if (!definition) return true;
+        return definition.dayTypes.includes(getDayType(dateStr, holidayDates));
+    }
+
+    /**
+     * 檢查員工在指定日期是否有上班（休假不算）
+     */
+    function isEmployeeWorking(scheduleData, dateStr, employee) {
+        return (scheduleData[dateStr] || []).some(s => s.employee === employee && s.shift !== 'off');
+    }
+
+    /**
+     * 取得指定日期所在週（週日至週六）的週日
+     * @param {Date} date - 日期物件
+     * @returns {Date} 該週週日的日期物件
+     */
+    function getWeekStart(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
     }
 
 
     // --- 班次定義和輔助函數 ---
 
     /**
-     * 班次順序定義（用於間隔檢查）
+     * 軟性規則：違反時只列為提醒，不算排班衝突
      */
-    const WEEKDAY_SHIFT_ORDER = ['day', 'evening', 'night'];
-    const WEEKEND_SHIFT_ORDER = ['weekend-day', 'weekend-night'];
+    const WARNING_RULE_TYPES = ['preferredShift', 'preferredStaff', 'availabilityRequest'];
 
     /**
-     * 獲取班次在順序中的位置
-     * @param {string} shiftType - 班次類型
-     * @param {boolean} isHoliday - 當天是否為假日
-     * @returns {number} 班次在順序陣列中的索引
+     * 跨月檢查範圍預設值：檢查某月時，一併參考前後幾天的排班（跨月、跨年的連續班、24小時班等）
+     */
+    const DEFAULT_LOOK_BACK_DAYS = 14;
+    const DEFAULT_LOOK_AHEAD_DAYS = 7;
+
+    /**
+     * 預設班次定義。時間為 HH:MM，結束時間早於或等於開始時間表示跨午夜。
+     * category：day 白班、evening 小夜、night 夜班、other 其他（用於白夜平衡與偏好班次分組）
+     * dayTypes：適用的日期類型，weekday 平日、weekend 週末、holiday 假日
+     */
+    const DEFAULT_SHIFT_DEFINITIONS = {
+        'day': { name: '平日白班', start: '07:00', end: '15:00', category: 'day', dayTypes: ['weekday'] },
+        'evening': { name: '平日小夜', start: '15:00', end: '23:00', category: 'evening', dayTypes: ['weekday'] },
+        'night': { name: '平日大夜', start: '23:00', end: '07:00', category: 'night', dayTypes: ['weekday'] },
+        'weekend-day': { name: '週末/假日白班', start: '07:00', end: '19:00', category: 'day', dayTypes: ['weekend', 'holiday'] },
+        'weekend-night': { name: '週末/假日夜班', start: '19:00', end: '07:00', category: 'night', dayTypes: ['weekend', 'holiday'] },
+    };
+
+    /**
+     * 兩班之間預設最少休息時數（noDirectShiftTransition 規則未指定 minRestHours 時使用）
+     */
+    const DEFAULT_MIN_REST_HOURS = 11;
+
+    /**
+     * 連續工作（兩班之間沒有休息）達此時數即違反24小時班規則
+     */
+    const MAX_CONTINUOUS_WORK_HOURS = 24;
+
+    const HOUR_MS = 60 * 60 * 1000;
+
+    /**
+     * 每週正常工時（maxMonthlyOvertime 規則未指定 standardWeeklyHours 時使用），每月正常工時依當月天數換算
+     */
+    const DEFAULT_STANDARD_WEEKLY_HOURS = 40;
+
+    /**
+     * 休息日規則的計算週期（任何連續幾天內須有休息日）
+     */
+    const DAYS_OFF_PERIOD = 7;
+
+    /**
+     * 員工可用性狀態：unavailable 不可上班（硬性）、preferOff 希望休假、preferWork 希望上班（軟性）。
+     * employeeAvailability[員工][日期] 為 { all: 狀態, <班次代碼>: 狀態 }，all 適用整天，指定班次的設定優先。
+     */
+    const AVAILABILITY_STATES = ['unavailable', 'preferOff', 'preferWork'];
+    const ALL_SHIFTS_KEY = 'all';
+
+    /**
+     * 固定可用性規則的重複方式。availabilityPatterns[員工] 為規則陣列，每條規則為
+     * { id, state, shift: all 或班次代碼, repeat, weekdays, weekday, nth, startDate, endDate, exceptions: [日期], note }，
+     * weekly、nthWeekday 的 startDate/endDate 為生效期間（可省略），dateRange 則必須填寫。
+     */
+    const AVAILABILITY_PATTERN_REPEATS = ['weekly', 'nthWeekday', 'dateRange'];
+
+    /**
+     * 將 HH:MM 轉為當天的分鐘數
      */
-    function getShiftPosition(shiftType, isHoliday) {
-        const order = isHoliday ? WEEKEND_SHIFT_ORDER : WEEKDAY_SHIFT_ORDER;
-        return order.indexOf(shiftType);
+    function parseTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + (minutes || 0);
     }
 
     /**
-     * 檢查兩個班次之間的間隔是否足夠
+     * 計算班次時數（結束時間早於或等於開始時間時跨午夜，相同時間為24小時班）
+     * @param {object} definition - 班次定義
+     * @returns {number} 時數
      */
-    function hasEnoughShiftGap(shift1, shift2, isHoliday1, isHoliday2) {
-        if (isHoliday1 !== isHoliday2) return true;
-        if (shift1 === 'off' || shift2 === 'off') return true;
-        if (isHoliday1) return true;
-        
-        const pos1 = getShiftPosition(shift1, false);
-        const pos2 = getShiftPosition(shift2, false);
-        
-        if (pos1 === -1 || pos2 === -1) return true;
-        
-        const steps = (pos2 - pos1 + WEEKDAY_SHIFT_ORDER.length) % WEEKDAY_SHIFT_ORDER.length;
-        return steps > 1;
+    function getShiftDurationHours(definition) {
+        const minutes = (parseTime(definition.end) - parseTime(definition.start) + 1440) % 1440;
+        return (minutes || 1440) / 60;
     }
 
-    // --- 私有UI輔助函式 ---
+    /**
+     * 取得某天某班次實際的上下班時間
+     * @returns {?{date: string, shift: string, start: Date, end: Date}} 找不到班次定義時為 null
+     */
+    function getShiftInterval(dateStr, shiftType, shiftDefinitions) {
+        const definition = shiftDefinitions[shiftType];
+        if (!definition) return null;
+        const start = parseDate(dateStr);
+        start.setMinutes(parseTime(definition.start));
+        const end = new Date(start.getTime() + getShiftDurationHours(definition) * HOUR_MS);
+        return { date: dateStr, shift: shiftType, start, end };
+    }
 
     /**
-     * 清除所有驗證高亮顯示
+     * 列出員工在日期範圍內的所有班次時間，依上班時間排序
      */
-    function clearValidationHighlights(calendarGrid) {
-        calendarGrid.querySelectorAll('.conflict-cell').forEach(cell => {
-            cell.classList.remove('conflict-cell');
-        });
-        calendarGrid.querySelectorAll('.conflict-indicator').forEach(indicator => {
-            indicator.remove();
+    function getEmployeeIntervals(scheduleData, employee, startDate, endDate, shiftDefinitions) {
+        const intervals = [];
+        for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+            const dateStr = formatDate(d);
+            (scheduleData[dateStr] || []).forEach(s => {
+                if (s.employee !== employee || s.shift === 'off') return;
+                const interval = getShiftInterval(dateStr, s.shift, shiftDefinitions);
+                if (interval) intervals.push(interval);
+            });
+        }
+        return intervals.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * 將前後相接（中間沒有休息）的班次串成連續工作區段
+     * @returns {Array<{start: Date, end: Date, intervals: Array}>}
+     */
+    function getContinuousStretches(intervals) {
+        const stretches = [];
+        intervals.forEach(interval => {
+            const last = stretches[stretches.length - 1];
+            if (last && interval.start <= last.end) {
+                last.intervals.push(interval);
+                if (interval.end > last.end) last.end = interval.end;
+            } else {
+                stretches.push({ start: interval.start, end: interval.end, intervals: [interval] });
+            }
         });
+        return stretches;
     }
 
     /**
-     * 高亮顯示衝突日期
+     * 取得班次分類（找不到定義時為 other）
      */
-    function highlightConflict(calendarGrid, date, reason) {
-        const cell = calendarGrid.querySelector(`[data-date="${date}"]`);
-        if (!cell) return;
-        
-        cell.classList.add('conflict-cell');
-        
-        let indicator = cell.querySelector('.conflict-indicator');
-        if (!indicator) {
-            indicator = document.createElement('div');
-            indicator.className = 'conflict-indicator';
-            indicator.innerHTML = '!<div class="conflict-tooltip"></div>';
-            cell.appendChild(indicator);
+    function getShiftCategory(shiftType, shiftDefinitions) {
+        return shiftDefinitions[shiftType]?.category || 'other';
+    }
+
+    /**
+     * 偏好班次的對應群組：同分類的班次視為同類（如平日白班與假日白班），other 只對應自己
+     */
+    function getPreferenceGroup(shiftType, shiftDefinitions) {
+        const category = getShiftCategory(shiftType, shiftDefinitions);
+        if (category === 'other') return [shiftType];
+        return Object.keys(shiftDefinitions).filter(key => shiftDefinitions[key].category === category);
+    }
+
+    /**
+     * 取得休息時數規則的最少休息時數
+     */
+    function getMinRestHours(rule) {
+        const hours = parseFloat(rule?.minRestHours);
+        return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_MIN_REST_HOURS;
+    }
+
+    /**
+     * 取得員工某天的工時（班次時數歸在上班當天，休假與找不到定義的班次不計）
+     */
+    function getDailyHours(scheduleData, dateStr, employee, shiftDefinitions) {
+        return (scheduleData[dateStr] || []).reduce((sum, s) => {
+            if (s.employee !== employee || s.shift === 'off' || !shiftDefinitions[s.shift]) return sum;
+            return sum + getShiftDurationHours(shiftDefinitions[s.shift]);
+        }, 0);
+    }
+
+    /**
+     * 加總員工在日期範圍內（含頭尾）的工時
+     */
+    function sumHours(scheduleData, employee, startDate, endDate, shiftDefinitions) {
+        let total = 0;
+        for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+            total += getDailyHours(scheduleData, formatDate(d), employee, shiftDefinitions);
         }
-        
-        const tooltip = indicator.querySelector('.conflict-tooltip');
-        if (tooltip && !tooltip.innerHTML.includes(reason)) {
-            tooltip.innerHTML += `• ${reason}<br>`;
+        return total;
+    }
+
+    /**
+     * 取得加班規則的每週正常工時
+     */
+    function getStandardWeeklyHours(rule) {
+        const hours = parseFloat(rule?.standardWeeklyHours);
+        return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_STANDARD_WEEKLY_HOURS;
+    }
+
+    /**
+     * 每月正常工時：每週正常工時依當月天數換算（如 40 小時 × 31 / 7）
+     */
+    function getMonthlyStandardHours(year, month, standardWeeklyHours) {
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        return standardWeeklyHours * daysInMonth / 7;
+    }
+
+    /**
+     * 時數顯示（最多一位小數）
+     */
+    function formatHours(hours) {
+        return `${Math.round(hours * 10) / 10}`;
+    }
+
+    /**
+     * 取得班次顯示名稱（未提供名稱對照時使用班次代碼）
+     */
+    function getShiftName(shiftTypes, shiftType, shiftDefinitions) {
+        return shiftTypes?.[shiftType] || shiftDefinitions?.[shiftType]?.name || shiftType;
+    }
+
+    /**
+     * 取得員工顯示名稱（未提供員工資料時使用員工代碼）
+     */
+    function getEmployeeName(employeeNames, employee) {
+        return employeeNames?.[employee] || employee;
+    }
+
+    /**
+     * 員工是否具備某項技能標籤（職稱也視為標籤，如「主治醫師」）
+     * @param {?object} record - 員工資料 { id, name, role, seniority, tags }
+     * @param {string} tag - 標籤
+     */
+    function hasSkill(record, tag) {
+        if (!record) return false;
+        return record.role === tag || (record.tags || []).includes(tag);
+    }
+
+    /**
+     * 取得員工某日的可用性設定。舊格式的 false（不可用）視為整天不可上班，true（可用）視為未設定。
+     * @returns {?object} { all, <班次代碼> }，未設定時為 null
+     */
+    function getAvailabilityEntry(employeeAvailability, employee, dateStr) {
+        const value = employeeAvailability?.[employee]?.[dateStr];
+        if (value === false) return { [ALL_SHIFTS_KEY]: 'unavailable' };
+        if (!value || typeof value !== 'object') return null;
+        return value;
+    }
+
+    /**
+     * 取得員工某日某班次的可用性狀態（指定班次的設定優先於整天設定）
+     * @returns {?string} unavailable、preferOff、preferWork，未設定時為 null
+     */
+    function getAvailabilityState(employeeAvailability, employee, dateStr, shiftType) {
+        const entry = getAvailabilityEntry(employeeAvailability, employee, dateStr);
+        if (!entry) return null;
+        return (shiftType && entry[shiftType]) || entry[ALL_SHIFTS_KEY] || null;
+    }
+
+    /**
+     * 固定可用性規則是否適用於某日：先看生效期間與例外日期，再依重複方式判斷
+     * weekly 為每週的指定星期、nthWeekday 為每月第 nth 個星期 weekday（nth 為 -1 時是最後一個）、dateRange 為期間內每天。
+     */
+    function patternMatchesDate(pattern, dateStr) {
+        if (pattern.startDate && dateStr < pattern.startDate) return false;
+        if (pattern.endDate && dateStr > pattern.endDate) return false;
+        if ((pattern.exceptions || []).includes(dateStr)) return false;
+        const date = parseDate(dateStr);
+        switch (pattern.repeat) {
+            case 'weekly':
+                return (pattern.weekdays || []).includes(date.getDay());
+            case 'nthWeekday': {
+                if (date.getDay() !== pattern.weekday) return false;
+                if (pattern.nth === -1) return date.getDate() + 7 > new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                return Math.ceil(date.getDate() / 7) === pattern.nth;
+            }
+            case 'dateRange':
+                return !!(pattern.startDate && pattern.endDate);
+            default:
+                return false;
         }
     }
 
-    // --- 規則處理函式定義 ---
+    /**
+     * 員工某日由固定可用性規則產生的設定（同一班次有多條規則時，排在後面的規則優先）
+     * @returns {?object} { all, <班次代碼> }，沒有適用的規則時為 null
+     */
+    function getPatternEntry(availabilityPatterns, employee, dateStr) {
+        const entry = {};
+        (availabilityPatterns?.[employee] || []).forEach(pattern => {
+            if (AVAILABILITY_STATES.includes(pattern.state) && patternMatchesDate(pattern, dateStr)) {
+                entry[pattern.shift || ALL_SHIFTS_KEY] = pattern.state;
+            }
+        });
+        return Object.keys(entry).length > 0 ? entry : null;
+    }
+
+    /**
+     * 逐一列出本月的可用性設定，callback(employee, dateStr, key, state)，key 為 all 或班次代碼
+     */
+    function forEachAvailabilityRequest(employeeAvailability, year, month, callback) {
+        const monthPrefix = formatDate(new Date(year, month, 1)).slice(0, 8);
+        Object.keys(employeeAvailability || {}).forEach(employee => {
+            Object.keys(employeeAvailability[employee] || {}).sort().forEach(dateStr => {
+                if (!dateStr.startsWith(monthPrefix)) return;
+                const entry = getAvailabilityEntry(employeeAvailability, employee, dateStr);
+                Object.entries(entry || {}).forEach(([key, state]) => {
+                    if (AVAILABILITY_STATES.includes(state)) callback(employee, dateStr, key, state);
+                });
+            });
+        });
+    }
+
+    /**
+     * 取得員工某日排入的班次，key 為班次代碼時只看該班次
+     */
+    function getRequestShifts(scheduleData, employee, dateStr, key) {
+        return (scheduleData[dateStr] || [])
+            .filter(s => s.employee === employee && s.shift !== 'off' && (key === ALL_SHIFTS_KEY || s.shift === key))
+            .map(s => s.shift);
+    }
+
+    /**
+     * 請求是否達成：不可上班、希望休假為未排入，希望上班為有排入
+     */
+    function isRequestGranted(scheduleData, employee, dateStr, key, state) {
+        const worked = getRequestShifts(scheduleData, employee, dateStr, key).length > 0;
+        return state === 'preferWork' ? worked : !worked;
+    }
+
+    /**
+     * 建立違規物件
+     * @param {string} ruleType - 規則類型（如 maxConsecutiveWorkDays、minStaff）
+     * @param {object} fields - employee、dates、shift、message
+     * @returns {{ruleType: string, severity: string, employee: ?string, dates: string[], shift: ?string, message: string}}
+     * severity 為 'error'（硬性規則，算衝突）或 'warning'（軟性規則，僅提醒）
+     */
+    function createViolation(ruleType, fields) {
+        return {
+            ruleType,
+            severity: WARNING_RULE_TYPES.includes(ruleType) ? 'warning' : 'error',
+            employee: null,
+            dates: [],
+            shift: null,
+            message: '',
+            ...fields,
+        };
+    }
+
+    // --- 規則處理函式定義（每個函式回傳違規物件陣列，不操作畫面） ---
 
     /**
      * 檢查最大連續工作天數
      */
     function checkMaxConsecutiveWorkDays(context) {
-        const { rule, scheduleData, year, month, calendarGrid } = context;
+        const { rule, scheduleData, year, month, lookBackDays, lookAheadDays, monthStart, monthEnd, employeeNames } = context;
         const employee = rule.employee;
         const maxDays = parseInt(rule.value, 10);
         let consecutiveCount = 0;
-        let conflictCount = 0;
+        let streakStart = null;
+        const violations = [];
 
-        const startDate = new Date(year, month, 1 - maxDays);
-        const endDate = new Date(year, month + 1, 0);
+        // 至少往前看 maxDays 天，才能判斷月初是否延續上個月的連續班
+        const startDate = new Date(year, month, 1 - Math.max(lookBackDays, maxDays));
+        const endDate = new Date(year, month + 1, lookAheadDays);
 
         for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
             const dateStr = formatDate(d);
-            const isWorking = (scheduleData[dateStr] || []).some(s => 
-                s.employee === employee && s.shift !== 'off'
-            );
 
-            if (isWorking) {
+            if (isEmployeeWorking(scheduleData, dateStr, employee)) {
+                if (consecutiveCount === 0) streakStart = dateStr;
                 consecutiveCount++;
-                if (consecutiveCount > maxDays) {
-                    const reason = `${employee} 連續工作第 ${consecutiveCount} 天 (超過限制 ${maxDays} 天)`;
-                    if (d.getFullYear() === year && d.getMonth() === month) {
-                        conflictCount++;
-                        highlightConflict(calendarGrid, dateStr, reason);
-                    }
+                // 超過的日期在本月，或本月開始的連續班延續到下個月
+                if (consecutiveCount > maxDays && dateStr >= monthStart && streakStart <= monthEnd) {
+                    violations.push(createViolation(rule.type, {
+                        employee,
+                        dates: [dateStr],
+                        message: `${getEmployeeName(employeeNames, employee)} 連續工作第 ${consecutiveCount} 天 (自 ${streakStart} 起，超過限制 ${maxDays} 天)`,
+                    }));
                 }
             } else {
                 consecutiveCount = 0;
             }
         }
-        return conflictCount;
+        return violations;
     }
 
     /**
-     * 檢查是否為連續24小時班次
+     * 檢查是否連續工作24小時（依班次實際時間，前後相接、沒有休息的班次合併計算）
      */
     function checkNo24HourShift(context) {
-        const { rule, scheduleData, year, month, calendarGrid, holidayDates } = context;
+        const { rule, scheduleData, shiftTypes, shiftDefinitions, monthStart, monthEnd, windowStart, windowEnd, employeeNames } = context;
         const employee = rule.employee;
-        let conflictCount = 0;
-        
-        const daysInMonth = new Date(year, month + 1, 0).getDate();
-        
-        for (let day = 1; day <= daysInMonth; day++) {
-            const currentDate = new Date(year, month, day);
-            const prevDate = new Date(year, month, day - 1);
+        const violations = [];
 
-            const currentDateStr = formatDate(currentDate);
-            const prevDateStr = formatDate(prevDate);
+        const intervals = getEmployeeIntervals(scheduleData, employee, parseDate(windowStart), parseDate(windowEnd), shiftDefinitions);
+        getContinuousStretches(intervals).forEach(stretch => {
+            const hours = (stretch.end - stretch.start) / HOUR_MS;
+            if (hours < MAX_CONTINUOUS_WORK_HOURS) return;
 
-            const todayShifts = scheduleData[currentDateStr] || [];
-            const prevDayShifts = scheduleData[prevDateStr] || [];
+            const dates = [...new Set(stretch.intervals.map(i => i.date))];
+            if (!dates.some(d => d >= monthStart && d <= monthEnd)) return;
 
-            const currentIsHoliday = isHoliday(currentDateStr, holidayDates);
-            const prevIsHoliday = isHoliday(prevDateStr, holidayDates);
-
-            const nightShifts = prevIsHoliday ? ['weekend-night'] : ['night'];
-            const dayShifts = currentIsHoliday ? ['weekend-day'] : ['day'];
-
-            const hadNightShift = prevDayShifts.some(s => s.employee === employee && nightShifts.includes(s.shift));
-            const hasDayShift = todayShifts.some(s => s.employee === employee && dayShifts.includes(s.shift));
+            const describe = (interval) => `${interval.date} ${getShiftName(shiftTypes, interval.shift, shiftDefinitions)}`;
+            const first = stretch.intervals[0];
+            const last = stretch.intervals[stretch.intervals.length - 1];
+            const span = first === last ? describe(first) : `${describe(first)} → ${describe(last)}`;
+            violations.push(createViolation(rule.type, {
+                employee,
+                dates,
+                shift: last.shift,
+                message: `${getEmployeeName(employeeNames, employee)} 連續工作 ${formatHours(hours)} 小時 (${span})`,
+            }));
+        });
 
-            if (hadNightShift && hasDayShift) {
-                conflictCount++;
-                const reason = `${employee} 24小時連續工作 (${prevDateStr} 夜班 → ${currentDateStr} 白班)`;
-                highlightConflict(calendarGrid, currentDateStr, reason);
-                highlightConflict(calendarGrid, prevDateStr, `${employee} 夜班後隔天接白班`);
-            }
-        }
-        
-        return conflictCount;
+        return violations;
     }
 
     /**
-     * 檢查班次直接銜接規則
+     * 檢查兩班之間的休息時數（依班次實際上下班時間計算）
      */
     function checkNoDirectShiftTransition(context) {
-        const { rule, scheduleData, year, month, calendarGrid, holidayDates } = context;
+        const { rule, scheduleData, shiftTypes, shiftDefinitions, monthStart, monthEnd, windowStart, windowEnd, employeeNames } = context;
         const employee = rule.employee;
-        let conflictCount = 0;
-        
-        const daysInMonth = new Date(year, month + 1, 0).getDate();
-        
-        for (let day = 1; day <= daysInMonth; day++) {
-            const currentDate = new Date(year, month, day);
-            const nextDate = new Date(year, month, day + 1);
+        const minRestHours = getMinRestHours(rule);
+        const violations = [];
 
-            const currentDateStr = formatDate(currentDate);
-            const nextDateStr = formatDate(nextDate);
+        const intervals = getEmployeeIntervals(scheduleData, employee, parseDate(windowStart), parseDate(windowEnd), shiftDefinitions);
+        for (let i = 1; i < intervals.length; i++) {
+            const prev = intervals[i - 1];
+            const current = intervals[i];
+            const restHours = (current.start - prev.end) / HOUR_MS;
+            if (restHours >= minRestHours) continue;
 
-            const todayShifts = scheduleData[currentDateStr] || [];
-            const tomorrowShifts = scheduleData[nextDateStr] || [];
+            const dates = [...new Set([prev.date, current.date])];
+            if (!dates.some(d => d >= monthStart && d <= monthEnd)) continue;
 
-            const currentIsHoliday = isHoliday(currentDateStr, holidayDates);
-            const nextIsHoliday = isHoliday(nextDateStr, holidayDates);
-
-            const todayShift = todayShifts.find(s => s.employee === employee && s.shift !== 'off');
-            const tomorrowShift = tomorrowShifts.find(s => s.employee === employee && s.shift !== 'off');
-
-            if (todayShift && tomorrowShift) {
-                if (!hasEnoughShiftGap(todayShift.shift, tomorrowShift.shift, currentIsHoliday, nextIsHoliday)) {
-                    conflictCount++;
-                    const reason = `${employee} 班次間隔不足 (${todayShift.shift} → ${tomorrowShift.shift})`;
-                    highlightConflict(calendarGrid, currentDateStr, reason);
-                    highlightConflict(calendarGrid, nextDateStr, reason);
-                }
-            }
+            violations.push(createViolation(rule.type, {
+                employee,
+                dates,
+                shift: current.shift,
+                message: `${getEmployeeName(employeeNames, employee)} 班次間休息不足 ${formatHours(minRestHours)} 小時 (${prev.date} ${getShiftName(shiftTypes, prev.shift, shiftDefinitions)} → ${current.date} ${getShiftName(shiftTypes, current.shift, shiftDefinitions)}，僅休息 ${formatHours(Math.max(0, restHours))} 小時)`,
+            }));
         }
-        
-        return conflictCount;
+
+        return violations;
     }
 
     /**
      * 檢查每日最少排班人數
      */
     function checkMinStaff(context) {
-        const { rule, scheduleData, year, month, shiftTypes, calendarGrid } = context;
-        let conflictCount = 0;
+        const { rule, scheduleData, year, month, shiftTypes, holidayDates, shiftDefinitions } = context;
+        const violations = [];
         const daysInMonth = new Date(year, month + 1, 0).getDate();
 
         for (let day = 1; day <= daysInMonth; day++) {
             const dateStr = formatDate(new Date(year, month, day));
+            // 只檢查有此班次的日期（如平日班次不要求週末/假日人數）
+            if (!isShiftApplicable(rule.shift, dateStr, holidayDates, shiftDefinitions)) continue;
             const staffCount = (scheduleData[dateStr] || []).filter(s => s.shift === rule.shift).length;
             
             if (staffCount < rule.value) {
-                conflictCount++;
-                const reason = `${shiftTypes[rule.shift]} 人數不足 (目前: ${staffCount}, 需要: ${rule.value})`;
-                highlightConflict(calendarGrid, dateStr, reason);
+                violations.push(createViolation(rule.type, {
+                    dates: [dateStr],
+                    shift: rule.shift,
+                    message: `${getShiftName(shiftTypes, rule.shift, shiftDefinitions)} 人數不足 (目前: ${staffCount}, 需要: ${rule.value})`,
+                }));
             }
         }
-        return conflictCount;
+        return violations;
     }
 
     /**
-     * 檢查員工白班夜班平衡
+     * 檢查員工白班夜班平衡（以月為單位計算，不受跨月檢查範圍影響）
      */
     function checkShiftBalance(context) {
-        const { rule, scheduleData, year, month, calendarGrid } = context;
+        const { rule, scheduleData, year, month, shiftDefinitions, employeeNames } = context;
         const employee = rule.employee;
         const maxDifference = parseInt(rule.value, 10) || 2;
-        let conflictCount = 0;
+        const violations = [];
 
         let dayShiftCount = 0;
         let nightShiftCount = 0;
@@ -266,58 +595,348 @@
             
             shifts.forEach(shift => {
                 if (shift.employee === employee) {
-                    if (shift.shift === 'day' || shift.shift === 'weekend-day') dayShiftCount++;
-                    if (shift.shift === 'night' || shift.shift === 'weekend-night') nightShiftCount++;
+                    const category = getShiftCategory(shift.shift, shiftDefinitions);
+                    if (category === 'day') dayShiftCount++;
+                    if (category === 'night') nightShiftCount++;
                 }
             });
         }
 
         const difference = Math.abs(dayShiftCount - nightShiftCount);
         if (difference > maxDifference && (dayShiftCount > 0 || nightShiftCount > 0)) {
-            conflictCount++;
             let lastShiftDate = null;
-            const dominantShift = dayShiftCount > nightShiftCount ? ['day', 'weekend-day'] : ['night', 'weekend-night'];
+            const dominantCategory = dayShiftCount > nightShiftCount ? 'day' : 'night';
             for (let day = daysInMonth; day >= 1; day--) {
                 const dateStr = formatDate(new Date(year, month, day));
-                if ((scheduleData[dateStr] || []).some(s => s.employee === employee && dominantShift.includes(s.shift))) {
+                if ((scheduleData[dateStr] || []).some(s => s.employee === employee && getShiftCategory(s.shift, shiftDefinitions) === dominantCategory)) {
                     lastShiftDate = dateStr;
                     break;
                 }
             }
-            if (lastShiftDate) {
-                const reason = `${employee} 班次不平衡：白班${dayShiftCount}次，夜班${nightShiftCount}次 (差距${difference}，限制${maxDifference})`;
-                highlightConflict(calendarGrid, lastShiftDate, reason);
+            violations.push(createViolation(rule.type, {
+                employee,
+                dates: lastShiftDate ? [lastShiftDate] : [],
+                message: `${getEmployeeName(employeeNames, employee)} 班次不平衡：白班${dayShiftCount}次，夜班${nightShiftCount}次 (差距${difference}，限制${maxDifference})`,
+            }));
+        }
+        return violations;
+    }
+
+    /**
+     * 檢查員工每週（週日至週六）最大班次數
+     */
+    function checkMaxWeeklyShifts(context) {
+        const { rule, scheduleData, year, month, windowStart, windowEnd, employeeNames } = context;
+        const employee = rule.employee;
+        const maxShifts = parseInt(rule.value, 10);
+        const violations = [];
+
+        // 跨月的週一律整週計算；超過上限的日期落在檢查範圍內才列出
+        const lastDayOfMonth = new Date(year, month + 1, 0);
+        for (let weekStart = getWeekStart(new Date(year, month, 1)); weekStart <= lastDayOfMonth; weekStart.setDate(weekStart.getDate() + 7)) {
+            let weeklyCount = 0;
+            const exceededDates = [];
+            for (let i = 0; i < 7; i++) {
+                const d = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i);
+                const dateStr = formatDate(d);
+                if (!isEmployeeWorking(scheduleData, dateStr, employee)) continue;
+
+                weeklyCount++;
+                if (weeklyCount > maxShifts && dateStr >= windowStart && dateStr <= windowEnd) {
+                    exceededDates.push(dateStr);
+                }
+            }
+            if (exceededDates.length > 0) {
+                violations.push(createViolation(rule.type, {
+                    employee,
+                    dates: exceededDates,
+                    message: `${getEmployeeName(employeeNames, employee)} 本週排了 ${weeklyCount} 班 (超過每週上限 ${maxShifts} 班)`,
+                }));
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * 檢查員工每週（週日至週六）最多工時
+     */
+    function checkMaxWeeklyHours(context) {
+        const { rule, scheduleData, year, month, windowStart, windowEnd, shiftDefinitions, employeeNames } = context;
+        const employee = rule.employee;
+        const maxHours = parseFloat(rule.value);
+        const violations = [];
+
+        // 與每週最大班次數相同：跨月的週一律整週計算，超過上限的日期落在檢查範圍內才列出
+        const lastDayOfMonth = new Date(year, month + 1, 0);
+        for (let weekStart = getWeekStart(new Date(year, month, 1)); weekStart <= lastDayOfMonth; weekStart.setDate(weekStart.getDate() + 7)) {
+            let weeklyHours = 0;
+            const exceededDates = [];
+            for (let i = 0; i < 7; i++) {
+                const dateStr = formatDate(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i));
+                const hours = getDailyHours(scheduleData, dateStr, employee, shiftDefinitions);
+                if (hours === 0) continue;
+
+                weeklyHours += hours;
+                if (weeklyHours > maxHours && dateStr >= windowStart && dateStr <= windowEnd) {
+                    exceededDates.push(dateStr);
+                }
+            }
+            if (exceededDates.length > 0) {
+                violations.push(createViolation(rule.type, {
+                    employee,
+                    dates: exceededDates,
+                    message: `${getEmployeeName(employeeNames, employee)} 本週工時 ${formatHours(weeklyHours)} 小時 (超過每週上限 ${formatHours(maxHours)} 小時)`,
+                }));
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * 檢查員工每月加班時數上限（當月工時超過正常工時的部分視為加班）
+     */
+    function checkMaxMonthlyOvertime(context) {
+        const { rule, scheduleData, year, month, shiftDefinitions, employeeNames } = context;
+        const employee = rule.employee;
+        const maxOvertime = parseFloat(rule.value);
+        const standardHours = getMonthlyStandardHours(year, month, getStandardWeeklyHours(rule));
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        let monthlyHours = 0;
+        const exceededDates = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateStr = formatDate(new Date(year, month, day));
+            const hours = getDailyHours(scheduleData, dateStr, employee, shiftDefinitions);
+            if (hours === 0) continue;
+
+            monthlyHours += hours;
+            if (monthlyHours - standardHours > maxOvertime) exceededDates.push(dateStr);
+        }
+        if (exceededDates.length === 0) return [];
+
+        return [createViolation(rule.type, {
+            employee,
+            dates: exceededDates,
+            message: `${getEmployeeName(employeeNames, employee)} 本月工時 ${formatHours(monthlyHours)} 小時，加班 ${formatHours(monthlyHours - standardHours)} 小時 (超過每月加班上限 ${formatHours(maxOvertime)} 小時)`,
+        })];
+    }
+
+    /**
+     * 檢查任何連續七天內的休息日數（如每七天至少休息一天），違反的七天區間相連時合併為一筆
+     */
+    function checkMinDaysOffInSeven(context) {
+        const { rule, scheduleData, year, month, monthStart, monthEnd, windowStart, windowEnd, employeeNames } = context;
+        const employee = rule.employee;
+        const minDaysOff = parseInt(rule.value, 10) || 1;
+        const violations = [];
+
+        // 每個區間以結束日表示：區間須與本月重疊，且整個區間都在跨月檢查範圍內
+        const firstEnd = parseDate(windowStart);
+        firstEnd.setDate(firstEnd.getDate() + DAYS_OFF_PERIOD - 1);
+        if (firstEnd < new Date(year, month, 1)) firstEnd.setTime(new Date(year, month, 1).getTime());
+        const lastEnd = parseDate(windowEnd);
+        if (lastEnd > new Date(year, month + 1, DAYS_OFF_PERIOD - 1)) lastEnd.setTime(new Date(year, month + 1, DAYS_OFF_PERIOD - 1).getTime());
+
+        let current = null;
+        const flush = () => {
+            if (!current) return;
+            const dates = [];
+            for (let d = parseDate(current.start); formatDate(d) <= current.end; d.setDate(d.getDate() + 1)) {
+                const dateStr = formatDate(d);
+                if (isEmployeeWorking(scheduleData, dateStr, employee)) dates.push(dateStr);
+            }
+            violations.push(createViolation(rule.type, {
+                employee,
+                dates,
+                message: `${getEmployeeName(employeeNames, employee)} 在 ${current.start} ~ ${current.end} 期間，連續 ${DAYS_OFF_PERIOD} 天內僅休息 ${current.fewestDaysOff} 天 (每 ${DAYS_OFF_PERIOD} 天至少休息 ${minDaysOff} 天)`,
+            }));
+            current = null;
+        };
+
+        for (let end = new Date(firstEnd); end <= lastEnd; end.setDate(end.getDate() + 1)) {
+            const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - DAYS_OFF_PERIOD + 1);
+            let daysOff = 0;
+            for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+                if (!isEmployeeWorking(scheduleData, formatDate(d), employee)) daysOff++;
+            }
+
+            if (daysOff >= minDaysOff) {
+                flush();
+            } else if (current) {
+                current.end = formatDate(end);
+                current.fewestDaysOff = Math.min(current.fewestDaysOff, daysOff);
+            } else {
+                current = { start: formatDate(start), end: formatDate(end), fewestDaysOff: daysOff };
+            }
+        }
+        flush();
+        // 只列出本月有上班日涉及的區間
+        return violations.filter(v => v.dates.some(date => date >= monthStart && date <= monthEnd));
+    }
+
+    /**
+     * 檢查員工偏好班次（軟性規則）
+     */
+    function checkPreferredShift(context) {
+        const { rule, scheduleData, year, month, shiftTypes, holidayDates, shiftDefinitions, employeeNames } = context;
+        const employee = rule.employee;
+        if (!shiftDefinitions[rule.shift]) return [];
+        const preferred = getPreferenceGroup(rule.shift, shiftDefinitions);
+
+        const violations = [];
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateStr = formatDate(new Date(year, month, day));
+            const assigned = (scheduleData[dateStr] || []).find(s => s.employee === employee && s.shift !== 'off');
+            if (!assigned || preferred.includes(assigned.shift)) continue;
+
+            // 當天沒有任何偏好班次時（如假日偏好小夜），不視為違反偏好
+            if (!preferred.some(s => isShiftApplicable(s, dateStr, holidayDates, shiftDefinitions))) continue;
+
+            violations.push(createViolation(rule.type, {
+                employee,
+                dates: [dateStr],
+                shift: assigned.shift,
+                message: `${getEmployeeName(employeeNames, employee)} 偏好${getShiftName(shiftTypes, rule.shift, shiftDefinitions)}，但被排入${getShiftName(shiftTypes, assigned.shift, shiftDefinitions)}`,
+            }));
+        }
+        return violations;
+    }
+
+    /**
+     * 檢查班次中具備指定技能標籤的人數（如每班至少一位 ACLS、一位檢傷護理師）
+     */
+    function checkMinSkillStaff(context) {
+        const { rule, scheduleData, year, month, shiftTypes, holidayDates, shiftDefinitions, employeeRecords } = context;
+        const violations = [];
+        // 沒有員工資料就無法判斷技能，不列出違規
+        if (!employeeRecords) return violations;
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateStr = formatDate(new Date(year, month, day));
+            if (!isShiftApplicable(rule.shift, dateStr, holidayDates, shiftDefinitions)) continue;
+            const skilledCount = (scheduleData[dateStr] || [])
+                .filter(s => s.shift === rule.shift && hasSkill(employeeRecords[s.employee], rule.tag)).length;
+
+            if (skilledCount < rule.value) {
+                violations.push(createViolation(rule.type, {
+                    dates: [dateStr],
+                    shift: rule.shift,
+                    message: `${getShiftName(shiftTypes, rule.shift, shiftDefinitions)} 具備「${rule.tag}」的人員不足 (目前: ${skilledCount}, 需要: ${rule.value})`,
+                }));
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * 檢查每日最多排班人數
+     */
+    function checkMaxStaff(context) {
+        const { rule, scheduleData, year, month, shiftTypes, shiftDefinitions } = context;
+        const violations = [];
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateStr = formatDate(new Date(year, month, day));
+            const staffCount = (scheduleData[dateStr] || []).filter(s => s.shift === rule.shift).length;
+
+            if (staffCount > rule.value) {
+                violations.push(createViolation(rule.type, {
+                    dates: [dateStr],
+                    shift: rule.shift,
+                    message: `${getShiftName(shiftTypes, rule.shift, shiftDefinitions)} 人數超過上限 (目前: ${staffCount}, 上限: ${rule.value})`,
+                }));
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * 檢查每日建議排班人數（軟性規則，僅檢查有此班次的日期）
+     */
+    function checkPreferredStaff(context) {
+        const { rule, scheduleData, year, month, shiftTypes, holidayDates, shiftDefinitions } = context;
+        const violations = [];
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateStr = formatDate(new Date(year, month, day));
+            if (!isShiftApplicable(rule.shift, dateStr, holidayDates, shiftDefinitions)) continue;
+
+            const staffCount = (scheduleData[dateStr] || []).filter(s => s.shift === rule.shift).length;
+            if (staffCount !== rule.value) {
+                violations.push(createViolation(rule.type, {
+                    dates: [dateStr],
+                    shift: rule.shift,
+                    message: `${getShiftName(shiftTypes, rule.shift, shiftDefinitions)} 人數與建議不符 (目前: ${staffCount}, 建議: ${rule.value})`,
+                }));
             }
         }
-        return conflictCount;
+        return violations;
     }
 
     /**
-     * 檢查員工可用性衝突
+     * 檢查員工可用性衝突（排入設定為不可上班的日期或班次）
      */
     function checkEmployeeAvailability(context) {
-        const { scheduleData, employeeAvailability, year, month, calendarGrid } = context;
-        let conflictCount = 0;
-        if (!employeeAvailability) return 0;
+        const { scheduleData, employeeAvailability, year, month, shiftTypes, shiftDefinitions, employeeNames } = context;
+        const violations = [];
+        if (!employeeAvailability) return violations;
         const daysInMonth = new Date(year, month + 1, 0).getDate();
         for (let day = 1; day <= daysInMonth; day++) {
             const dateStr = formatDate(new Date(year, month, day));
             (scheduleData[dateStr] || []).forEach(shift => {
-                if (shift.shift !== 'off' && employeeAvailability[shift.employee]?.[dateStr] === false) {
-                    conflictCount++;
-                    highlightConflict(calendarGrid, dateStr, `${shift.employee} 在此日設定為不可用`);
-                }
+                if (shift.shift === 'off' || getAvailabilityState(employeeAvailability, shift.employee, dateStr, shift.shift) !== 'unavailable') return;
+                const byShift = getAvailabilityEntry(employeeAvailability, shift.employee, dateStr)[shift.shift] === 'unavailable';
+                violations.push(createViolation('employeeAvailability', {
+                    employee: shift.employee,
+                    dates: [dateStr],
+                    shift: shift.shift,
+                    message: byShift
+                        ? `${getEmployeeName(employeeNames, shift.employee)} 在此日設定為不可上${getShiftName(shiftTypes, shift.shift, shiftDefinitions)}`
+                        : `${getEmployeeName(employeeNames, shift.employee)} 在此日設定為不可用`,
+                }));
             });
         }
-        return conflictCount;
+        return violations;
+    }
+
+    /**
+     * 檢查希望休假、希望上班的請求是否達成（軟性，未達成只列為提醒）
+     */
+    function checkAvailabilityRequests(context) {
+        const { scheduleData, employeeAvailability, year, month, shiftTypes, shiftDefinitions, employeeNames } = context;
+        const violations = [];
+        forEachAvailabilityRequest(employeeAvailability, year, month, (employee, dateStr, key, state) => {
+            if (state === 'unavailable' || isRequestGranted(scheduleData, employee, dateStr, key, state)) return;
+            const name = getEmployeeName(employeeNames, employee);
+            const byShift = key !== ALL_SHIFTS_KEY;
+            const shiftName = byShift ? getShiftName(shiftTypes, key, shiftDefinitions) : '';
+            let message;
+            if (state === 'preferOff') {
+                const workedNames = getRequestShifts(scheduleData, employee, dateStr, key).map(s => getShiftName(shiftTypes, s, shiftDefinitions)).join('、');
+                message = byShift ? `${name} 希望此日不上${shiftName}，但被排入` : `${name} 希望此日休假，但被排入${workedNames}`;
+            } else {
+                message = byShift ? `${name} 希望此日上${shiftName}，但未排入` : `${name} 希望此日上班，但未排班`;
+            }
+            violations.push(createViolation('availabilityRequest', {
+                employee,
+                dates: [dateStr],
+                shift: byShift ? key : null,
+                message,
+            }));
+        });
+        return violations;
     }
 
     /**
      * 檢查員工重複排班
      */
     function checkDuplicateAssignment(context) {
-        const { scheduleData, year, month, calendarGrid } = context;
-        let conflictCount = 0;
+        const { scheduleData, year, month, employeeNames } = context;
+        const violations = [];
         const daysInMonth = new Date(year, month + 1, 0).getDate();
         for (let day = 1; day <= daysInMonth; day++) {
             const dateStr = formatDate(new Date(year, month, day));
@@ -331,12 +950,15 @@
             });
             Object.entries(employeeShifts).forEach(([employee, empShifts]) => {
                 if (empShifts.length > 1) {
-                    conflictCount++;
-                    highlightConflict(calendarGrid, dateStr, `${employee} 在同一天被安排多個班次: ${empShifts.join(', ')}`);
+                    violations.push(createViolation('duplicateAssignment', {
+                        employee,
+                        dates: [dateStr],
+                        message: `${getEmployeeName(employeeNames, employee)} 在同一天被安排多個班次: ${empShifts.join(', ')}`,
+                    }));
                 }
             });
         }
-        return conflictCount;
+        return violations;
     }
 
     // --- 規則註冊表 ---
@@ -345,54 +967,296 @@
         'no24HourShift': checkNo24HourShift,
         'noDirectShiftTransition': checkNoDirectShiftTransition,
         'balanceShifts': checkShiftBalance,
+        'preferredShift': checkPreferredShift,
+        'maxWeeklyShifts': checkMaxWeeklyShifts,
+        'maxWeeklyHours': checkMaxWeeklyHours,
+        'maxMonthlyOvertime': checkMaxMonthlyOvertime,
+        'minDaysOffInSeven': checkMinDaysOffInSeven,
+    };
+    const shiftRuleHandlers = {
+        'minStaff': checkMinStaff,
+        'maxStaff': checkMaxStaff,
+        'preferredStaff': checkPreferredStaff,
+        'minSkillStaff': checkMinSkillStaff,
     };
-    const shiftRuleHandlers = { 'minStaff': checkMinStaff };
     const systemRuleHandlers = {
         'employeeAvailability': checkEmployeeAvailability,
+        'availabilityRequest': checkAvailabilityRequests,
         'duplicateAssignment': checkDuplicateAssignment,
     };
 
+    // 可用的規則類型（匯入資料時檢查規則是否有效）
+    RuleEngine.EMPLOYEE_RULE_TYPES = Object.keys(employeeRuleHandlers);
+    RuleEngine.SHIFT_RULE_TYPES = Object.keys(shiftRuleHandlers);
+
     // --- 公開的主要驗證函式 ---
-    RuleEngine.validate = function(params) {
-        const { currentDate, scheduleData, schedulingConditions, shiftTypes, calendarGrid, employeeAvailability, holidayDates } = params;
-        console.log('開始三班制規則驗證...', { /* ... */ });
-        clearValidationHighlights(calendarGrid);
-        let totalConflicts = 0;
-        const year = currentDate.getFullYear();
-        const month = currentDate.getMonth();
-        const context = { scheduleData, year, month, shiftTypes, calendarGrid, employeeAvailability, holidayDates };
-
-        if (schedulingConditions.employeeRules) {
-            schedulingConditions.employeeRules.forEach(rule => {
-                if (employeeRuleHandlers[rule.type]) totalConflicts += employeeRuleHandlers[rule.type]({ ...context, rule });
-            });
+
+    /**
+     * 檢查指定月份的排班，回傳所有違規（不操作畫面、不跳出提示）
+     * @param {object} scheduleData - 排班資料 { 'YYYY-MM-DD': [{ employee, shift }] }
+     * @param {object} schedulingConditions - 排班條件 { employeeRules, shiftRules }
+     * @param {object} [options] - { year, month (0-11), shiftTypes, shiftDefinitions, employees, employeeAvailability, holidayDates, lookBackDays, lookAheadDays }
+     * shiftDefinitions 未指定時使用 DEFAULT_SHIFT_DEFINITIONS；shiftTypes 為顯示名稱對照，未指定時使用班次定義的名稱。
+     * employees 為員工資料陣列 [{ id, name, role, seniority, tags }]：排班資料中的 employee 為 id，訊息顯示 name；
+     * 未提供時訊息直接顯示排班資料中的值，技能人數規則（minSkillStaff）也不檢查。
+     * year / month 未指定時檢查今天所在的月份；lookBackDays / lookAheadDays 為跨月檢查範圍（天），未指定時依 resolveWindow 決定。
+     * 涉及本月任一日期的違規都會列出，例如上月31日夜班接本月1日白班、本月底夜班接下月1日白班。
+     * @returns {Array<object>} 違規物件陣列，格式見 createViolation
+     */
+    RuleEngine.evaluate = function(scheduleData, schedulingConditions, options = {}) {
+        const conditions = schedulingConditions || {};
+        const today = new Date();
+        const { year = today.getFullYear(), month = today.getMonth(), shiftTypes = {}, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS, employees, employeeAvailability = {}, holidayDates = {} } = options;
+        const { lookBackDays, lookAheadDays } = RuleEngine.resolveWindow(conditions, options);
+        const employeeRecords = employees ? Object.fromEntries(employees.map(e => [e.id, e])) : null;
+        const employeeNames = employees ? Object.fromEntries(employees.map(e => [e.id, e.name])) : {};
+        const context = {
+            scheduleData: scheduleData || {}, year, month, shiftTypes, shiftDefinitions, employeeAvailability, holidayDates,
+            employeeRecords, employeeNames,
+            lookBackDays, lookAheadDays,
+            monthStart: formatDate(new Date(year, month, 1)),
+            monthEnd: formatDate(new Date(year, month + 1, 0)),
+            windowStart: formatDate(new Date(year, month, 1 - lookBackDays)),
+            windowEnd: formatDate(new Date(year, month + 1, lookAheadDays)),
+        };
+        const violations = [];
+
+        (conditions.employeeRules || []).forEach(rule => {
+            if (employeeRuleHandlers[rule.type]) violations.push(...employeeRuleHandlers[rule.type]({ ...context, rule }));
+        });
+        (conditions.shiftRules || []).forEach(rule => {
+            if (shiftRuleHandlers[rule.type]) violations.push(...shiftRuleHandlers[rule.type]({ ...context, rule }));
+        });
+        Object.values(systemRuleHandlers).forEach(handler => violations.push(...handler(context)));
+        return violations;
+    };
+
+    /**
+     * 取得跨月檢查範圍：options 優先，其次是排班條件中的 validationWindow，最後是預設值
+     * @param {object} schedulingConditions - 排班條件
+     * @param {object} [options] - 可含 lookBackDays、lookAheadDays
+     * @returns {{lookBackDays: number, lookAheadDays: number}}
+     */
+    RuleEngine.resolveWindow = function(schedulingConditions, options = {}) {
+        const saved = schedulingConditions?.validationWindow || {};
+        const pick = (...values) => values.find(v => Number.isInteger(v) && v >= 0);
+        return {
+            lookBackDays: pick(options.lookBackDays, saved.lookBackDays, DEFAULT_LOOK_BACK_DAYS),
+            lookAheadDays: pick(options.lookAheadDays, saved.lookAheadDays, DEFAULT_LOOK_AHEAD_DAYS),
+        };
+    };
+
+    /**
+     * 統計違規物件中的衝突與提醒數量
+     * @param {Array<object>} violations - evaluate 的回傳值
+     * @returns {{totalConflicts: number, totalWarnings: number, isValid: boolean}}
+     */
+    RuleEngine.summarize = function(violations) {
+        const totalWarnings = violations.filter(v => v.severity === 'warning').length;
+        const totalConflicts = violations.length - totalWarnings;
+        return { totalConflicts, totalWarnings, isValid: totalConflicts === 0 };
+    };
+
+    /**
+     * 只回傳衝突與提醒數量（供自動排班檢查結果）
+     * @param {object} params - { year, month, scheduleData, schedulingConditions, shiftTypes, employeeAvailability, holidayDates }
+     * @returns {{totalConflicts: number, totalWarnings: number, isValid: boolean}}
+     */
+    RuleEngine.countViolations = function(params) {
+        const { scheduleData, schedulingConditions, ...options } = params;
+        return RuleEngine.summarize(RuleEngine.evaluate(scheduleData, schedulingConditions, options));
+    };
+
+    // --- 班次定義 ---
+
+    RuleEngine.DEFAULT_SHIFT_DEFINITIONS = DEFAULT_SHIFT_DEFINITIONS;
+    RuleEngine.DEFAULT_MIN_REST_HOURS = DEFAULT_MIN_REST_HOURS;
+    RuleEngine.HOLIDAY_TYPES = HOLIDAY_TYPES;
+    RuleEngine.getHolidayEntry = getHolidayEntry;
+    RuleEngine.isHoliday = isHoliday;
+    RuleEngine.getDayType = getDayType;
+    RuleEngine.getShiftDurationHours = getShiftDurationHours;
+    RuleEngine.getShiftInterval = getShiftInterval;
+    RuleEngine.getShiftCategory = getShiftCategory;
+    RuleEngine.getMinRestHours = getMinRestHours;
+
+    // --- 員工資料 ---
+
+    RuleEngine.hasSkill = hasSkill;
+
+    // --- 員工可用性 ---
+
+    RuleEngine.AVAILABILITY_STATES = AVAILABILITY_STATES;
+    RuleEngine.ALL_SHIFTS_KEY = ALL_SHIFTS_KEY;
+    RuleEngine.getAvailabilityEntry = getAvailabilityEntry;
+    RuleEngine.getAvailabilityState = getAvailabilityState;
+    RuleEngine.AVAILABILITY_PATTERN_REPEATS = AVAILABILITY_PATTERN_REPEATS;
+    RuleEngine.patternMatchesDate = patternMatchesDate;
+    RuleEngine.getPatternEntry = getPatternEntry;
+
+    /**
+     * 檢查固定可用性規則
+     * @param {object} pattern - 固定可用性規則
+     * @returns {?string} 錯誤訊息，沒有問題時為 null
+     */
+    RuleEngine.validateAvailabilityPattern = function(pattern) {
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        const isWeekday = (value) => Number.isInteger(value) && value >= 0 && value <= 6;
+        if (!pattern || !AVAILABILITY_STATES.includes(pattern.state)) return '可用性狀態無效';
+        if (!AVAILABILITY_PATTERN_REPEATS.includes(pattern.repeat)) return '重複方式無效';
+        if ((pattern.startDate && !datePattern.test(pattern.startDate)) || (pattern.endDate && !datePattern.test(pattern.endDate))) return '日期格式應為 YYYY-MM-DD';
+        if (pattern.startDate && pattern.endDate && pattern.startDate > pattern.endDate) return '開始日期不可晚於結束日期';
+        if ((pattern.exceptions || []).some(date => !datePattern.test(date))) return '例外日期格式應為 YYYY-MM-DD';
+        if (pattern.repeat === 'weekly' && (!Array.isArray(pattern.weekdays) || pattern.weekdays.length === 0 || !pattern.weekdays.every(isWeekday))) return '請至少選擇一個星期';
+        if (pattern.repeat === 'nthWeekday' && (!isWeekday(pattern.weekday) || ![1, 2, 3, 4, 5, -1].includes(pattern.nth))) return '請選擇第幾個星期幾';
+        if (pattern.repeat === 'dateRange' && !(pattern.startDate && pattern.endDate)) return '請輸入開始與結束日期';
+        return null;
+    };
+
+    /**
+     * 合併單日設定與固定可用性規則，取得日期範圍內實際生效的可用性（不修改傳入的物件）
+     * @param {object} employeeAvailability - 單日設定 { 員工: { 日期: { all, <班次代碼> } } }
+     * @param {object} availabilityPatterns - 固定可用性規則 { 員工: [規則] }
+     * @param {string} startDate - 開始日期 YYYY-MM-DD
+     * @param {string} endDate - 結束日期 YYYY-MM-DD（含）
+     * @returns {object} 與 employeeAvailability 相同格式；同一日期同一班次以單日設定優先，範圍外的日期只有單日設定
+     */
+    RuleEngine.resolveAvailability = function(employeeAvailability, availabilityPatterns, startDate, endDate) {
+        const resolved = {};
+        Object.keys(employeeAvailability || {}).forEach(employee => {
+            resolved[employee] = { ...employeeAvailability[employee] };
+        });
+        Object.keys(availabilityPatterns || {}).forEach(employee => {
+            if ((availabilityPatterns[employee] || []).length === 0) return;
+            if (!resolved[employee]) resolved[employee] = {};
+            for (let date = parseDate(startDate); date <= parseDate(endDate); date.setDate(date.getDate() + 1)) {
+                const dateStr = formatDate(date);
+                const fromPatterns = getPatternEntry(availabilityPatterns, employee, dateStr);
+                if (!fromPatterns) continue;
+                resolved[employee][dateStr] = { ...fromPatterns, ...(getAvailabilityEntry(employeeAvailability, employee, dateStr) || {}) };
+            }
+        });
+        return resolved;
+    };
+
+    /**
+     * 統計員工某月的可用性請求與達成數
+     * @param {string} employee - 員工代碼
+     * @param {object} params - { year, month (0-11), scheduleData, employeeAvailability }
+     * @returns {{unavailable: {requested: number, granted: number}, preferOff: {requested: number, granted: number}, preferWork: {requested: number, granted: number}}}
+     * 每個日期的整天設定與每個班次的設定各算一筆請求。
+     */
+    RuleEngine.summarizeRequests = function(employee, params) {
+        const { year, month, scheduleData, employeeAvailability } = params;
+        const summary = Object.fromEntries(AVAILABILITY_STATES.map(state => [state, { requested: 0, granted: 0 }]));
+        forEachAvailabilityRequest({ [employee]: employeeAvailability?.[employee] }, year, month, (emp, dateStr, key, state) => {
+            summary[state].requested++;
+            if (isRequestGranted(scheduleData, emp, dateStr, key, state)) summary[state].granted++;
+        });
+        return summary;
+    };
+
+    // --- 工時統計 ---
+
+    RuleEngine.DEFAULT_STANDARD_WEEKLY_HOURS = DEFAULT_STANDARD_WEEKLY_HOURS;
+
+    /**
+     * 計算員工在日期範圍內（含頭尾）的工時，班次時數歸在上班當天
+     * @param {string} employee - 員工名稱
+     * @param {string} startDate - 開始日期 YYYY-MM-DD
+     * @param {string} endDate - 結束日期 YYYY-MM-DD
+     * @param {object} scheduleData - 排班資料
+     * @param {object} [shiftDefinitions] - 班次定義
+     * @returns {number} 工時
+     */
+    RuleEngine.calculateWorkHours = function(employee, startDate, endDate, scheduleData, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS) {
+        return sumHours(scheduleData, employee, parseDate(startDate), parseDate(endDate), shiftDefinitions);
+    };
+
+    /**
+     * 員工某月的工時統計
+     * @param {string} employee - 員工名稱
+     * @param {object} params - { year, month (0-11), scheduleData, shiftDefinitions, standardWeeklyHours }
+     * @returns {{monthlyHours: number, standardHours: number, overtimeHours: number, weeks: Array<{weekStart: string, hours: number}>, rolling4Week: {hours: number, startDate: string, endDate: string}}}
+     * weeks 為與本月重疊的每一週（週日至週六，跨月的週整週計算）；rolling4Week 為結束日落在本月的連續四週（28天）中工時最高者。
+     */
+    RuleEngine.getHoursSummary = function(employee, params) {
+        const { year, month, scheduleData, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS, standardWeeklyHours = DEFAULT_STANDARD_WEEKLY_HOURS } = params;
+        const lastDayOfMonth = new Date(year, month + 1, 0);
+        const monthlyHours = sumHours(scheduleData, employee, new Date(year, month, 1), lastDayOfMonth, shiftDefinitions);
+        const standardHours = getMonthlyStandardHours(year, month, standardWeeklyHours);
+
+        const weeks = [];
+        for (let weekStart = getWeekStart(new Date(year, month, 1)); weekStart <= lastDayOfMonth; weekStart.setDate(weekStart.getDate() + 7)) {
+            const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6);
+            weeks.push({ weekStart: formatDate(weekStart), hours: sumHours(scheduleData, employee, weekStart, weekEnd, shiftDefinitions) });
         }
-        if (schedulingConditions.shiftRules) {
-            schedulingConditions.shiftRules.forEach(rule => {
-                if (shiftRuleHandlers[rule.type]) totalConflicts += shiftRuleHandlers[rule.type]({ ...context, rule });
-            });
+
+        let rolling4Week = null;
+        for (let day = 1; day <= lastDayOfMonth.getDate(); day++) {
+            const end = new Date(year, month, day);
+            const start = new Date(year, month, day - 27);
+            const hours = sumHours(scheduleData, employee, start, end, shiftDefinitions);
+            if (!rolling4Week || hours > rolling4Week.hours) rolling4Week = { hours, startDate: formatDate(start), endDate: formatDate(end) };
         }
-        Object.values(systemRuleHandlers).forEach(handler => totalConflicts += handler(context));
-        
-        if (totalConflicts === 0) alert('🎉 太棒了！未發現任何排班衝突。');
-        else alert(`⚠️ 發現 ${totalConflicts} 個排班衝突，請查看月曆上的紅色標記。`);
-        return { totalConflicts, isValid: totalConflicts === 0 };
+
+        return {
+            monthlyHours,
+            standardHours,
+            overtimeHours: Math.max(0, monthlyHours - standardHours),
+            weeks,
+            rolling4Week,
+        };
+    };
+
+    /**
+     * 列出指定日期適用的班次，依上班時間排序
+     * @param {string} dateStr - 日期字串 (YYYY-MM-DD)
+     * @param {object} holidayDates - 假日設定物件
+     * @param {object} [shiftDefinitions] - 班次定義
+     * @returns {string[]} 班次代碼
+     */
+    RuleEngine.getApplicableShifts = function(dateStr, holidayDates, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS) {
+        return Object.keys(shiftDefinitions)
+            .filter(key => isShiftApplicable(key, dateStr, holidayDates, shiftDefinitions))
+            .sort((a, b) => parseTime(shiftDefinitions[a].start) - parseTime(shiftDefinitions[b].start));
+    };
+
+    /**
+     * 檢查班次定義是否有效，回傳錯誤訊息（有效時為 null）
+     * @param {object} definition - { name, start, end, category, dayTypes }
+     * @returns {?string}
+     */
+    RuleEngine.validateShiftDefinition = function(definition) {
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+        if (!definition || !definition.name || !definition.name.trim()) return '請輸入班次名稱';
+        if (!timePattern.test(definition.start || '') || !timePattern.test(definition.end || '')) return '上下班時間格式應為 HH:MM';
+        if (!['day', 'evening', 'night', 'other'].includes(definition.category)) return '班次分類無效';
+        if (!Array.isArray(definition.dayTypes) || definition.dayTypes.length === 0) return '請至少選擇一種適用日期';
+        if (definition.dayTypes.some(t => !['weekday', 'weekend', 'holiday'].includes(t))) return '適用日期類型無效';
+        return null;
     };
 
     // --- 自動排班輔助函式 ---
 
+    /**
+     * 依公平性策略從可排的員工中挑選 requiredCount 人
+     * employeeStats[員工] 的 load / nightLoad 為依 FTE 換算後的點數與夜班數（見 schedule_fairness.js），沒有時改用 totalShifts / nightShifts 比較。
+     */
     RuleEngine.selectEmployeesWithFairness = function(availableEmployees, shiftType, requiredCount, employeeStats, allEmployees, strategy, date) {
         if (availableEmployees.length <= requiredCount) return availableEmployees;
+        const getLoad = (emp) => employeeStats[emp]?.load ?? employeeStats[emp]?.totalShifts ?? 0;
+        const getNightLoad = (emp) => employeeStats[emp]?.nightLoad ?? employeeStats[emp]?.nightShifts ?? 0;
         let sortedEmployees = [...availableEmployees];
         switch (strategy) {
             case 'balanced':
-                sortedEmployees.sort((a, b) => (employeeStats[a]?.totalShifts || 0) - (employeeStats[b]?.totalShifts || 0));
+                sortedEmployees.sort((a, b) => getLoad(a) - getLoad(b));
                 break;
             case 'minimize_night':
                 if (shiftType === 'night' || shiftType === 'weekend-night') {
-                    sortedEmployees.sort((a, b) => (employeeStats[a]?.nightShifts || 0) - (employeeStats[b]?.nightShifts || 0) || (employeeStats[a]?.totalShifts || 0) - (employeeStats[b]?.totalShifts || 0));
+                    sortedEmployees.sort((a, b) => getNightLoad(a) - getNightLoad(b) || getLoad(a) - getLoad(b));
                 } else {
-                    sortedEmployees.sort((a, b) => (employeeStats[a]?.totalShifts || 0) - (employeeStats[b]?.totalShifts || 0));
+                    sortedEmployees.sort((a, b) => getLoad(a) - getLoad(b));
                 }
                 break;
             case 'rotate':
@@ -404,82 +1268,237 @@
                 }
                 break;
             default:
-                sortedEmployees.sort((a, b) => (employeeStats[a]?.totalShifts || 0) - (employeeStats[b]?.totalShifts || 0));
+                sortedEmployees.sort((a, b) => getLoad(a) - getLoad(b));
         }
         return sortedEmployees.slice(0, requiredCount);
     };
 
     /**
-     * @description Calculates the number of consecutive workdays for an employee *before* a given target date.
+     * @description Calculates the number of consecutive workdays for an employee *before* a given target date,
+     * counting back across month and year boundaries until the first day off.
      * @fix This function now correctly starts counting from the day before the target date.
      */
     RuleEngine.calculateConsecutiveWorkDays = function(employee, targetDate, scheduleData) {
         let consecutive = 0;
-        const checkDate = new Date(targetDate);
+        const checkDate = typeof targetDate === 'string' ? parseDate(targetDate) : new Date(targetDate);
         checkDate.setDate(checkDate.getDate() - 1); // **FIX**: Start from the day BEFORE the target.
 
-        // 檢查目標日期前的連續工作天
-        for (let i = 0; i < 14; i++) { // Check up to 14 days back
-            const checkDateStr = formatDate(checkDate);
-            if ((scheduleData[checkDateStr] || []).some(s => s.employee === employee && s.shift !== 'off')) {
-                consecutive++;
-            } else {
-                break; // Stop counting once a day off is found
-            }
+        // 檢查目標日期前的連續工作天，遇到休息日才停止
+        while (isEmployeeWorking(scheduleData, formatDate(checkDate), employee)) {
+            consecutive++;
             checkDate.setDate(checkDate.getDate() - 1);
         }
         return consecutive;
     };
 
-    RuleEngine.wouldCause24HourShift = function(employee, date, shiftType, scheduleData, holidayDates) {
-        if (shiftType === 'off' || !(shiftType === 'day' || shiftType === 'weekend-day')) return false;
-        
-        const currentDate = new Date(date);
-        const prevDate = new Date(currentDate);
-        prevDate.setDate(prevDate.getDate() - 1);
-        const prevDateStr = formatDate(prevDate);
-        
-        const prevShifts = scheduleData[prevDateStr] || [];
-        const prevIsHoliday = isHoliday(prevDateStr, holidayDates);
-        const nightShifts = prevIsHoliday ? ['weekend-night'] : ['night'];
-        
-        return prevShifts.some(s => s.employee === employee && nightShifts.includes(s.shift));
+    /**
+     * @description Checks whether working on `date` would create a run longer than `maxDays`,
+     * counting already-scheduled days both before and after the target date.
+     */
+    RuleEngine.wouldExceedConsecutiveWorkDays = function(employee, date, maxDays, scheduleData) {
+        const before = RuleEngine.calculateConsecutiveWorkDays(employee, date, scheduleData);
+        let after = 0;
+        const checkDate = parseDate(date);
+        for (let i = 0; i < maxDays; i++) {
+            checkDate.setDate(checkDate.getDate() + 1);
+            if (!isEmployeeWorking(scheduleData, formatDate(checkDate), employee)) break;
+            after++;
+        }
+        return before + 1 + after > maxDays;
     };
 
-    RuleEngine.wouldViolateShiftGap = function(employee, date, shiftType, scheduleData, holidayDates) {
-        if (shiftType === 'off') return false;
-        
-        const currentDate = new Date(date);
-        const prevDate = new Date(currentDate);
-        prevDate.setDate(prevDate.getDate() - 1);
-        const nextDate = new Date(currentDate);
-        nextDate.setDate(nextDate.getDate() + 1);
-        
-        const prevDateStr = formatDate(prevDate);
-        const nextDateStr = formatDate(nextDate);
-        
-        const prevShifts = scheduleData[prevDateStr] || [];
-        const nextShifts = scheduleData[nextDateStr] || [];
-        
-        const currentIsHoliday = isHoliday(date, holidayDates);
-        const prevIsHoliday = isHoliday(prevDateStr, holidayDates);
-        const nextIsHoliday = isHoliday(nextDateStr, holidayDates);
-
-        // 檢查與前一天的班次間隔
-        const prevShift = prevShifts.find(s => s.employee === employee && s.shift !== 'off');
-        if (prevShift && !hasEnoughShiftGap(prevShift.shift, shiftType, prevIsHoliday, currentIsHoliday)) {
-            return true;
+    /**
+     * @description Checks whether assigning `shiftType` on `date` would widen the employee's day/night gap
+     * for that calendar month beyond `maxDifference` (the `balanceShifts` rule). Shifts are classified by their definition's category.
+     */
+    RuleEngine.wouldBreakShiftBalance = function(employee, date, shiftType, maxDifference, scheduleData, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS) {
+        const isDayShift = getShiftCategory(shiftType, shiftDefinitions) === 'day';
+        const isNightShift = getShiftCategory(shiftType, shiftDefinitions) === 'night';
+        if (!isDayShift && !isNightShift) return false;
+
+        const target = parseDate(date);
+        const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        let dayShiftCount = 0;
+        let nightShiftCount = 0;
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateStr = formatDate(new Date(target.getFullYear(), target.getMonth(), day));
+            if (dateStr === date) continue;
+            (scheduleData[dateStr] || []).forEach(s => {
+                if (s.employee !== employee) return;
+                const category = getShiftCategory(s.shift, shiftDefinitions);
+                if (category === 'day') dayShiftCount++;
+                if (category === 'night') nightShiftCount++;
+            });
+        }
+
+        const currentDifference = Math.abs(dayShiftCount - nightShiftCount);
+        const newDifference = Math.abs(dayShiftCount + (isDayShift ? 1 : 0) - nightShiftCount - (isNightShift ? 1 : 0));
+        return newDifference > maxDifference && newDifference > currentDifference;
+    };
+
+    /**
+     * @description Checks whether one more shift on `date` would push the employee past `maxShifts` in that week (Sun–Sat).
+     */
+    RuleEngine.wouldExceedWeeklyShifts = function(employee, date, maxShifts, scheduleData) {
+        const weekStart = getWeekStart(parseDate(date));
+        let weeklyCount = 0;
+        for (let i = 0; i < 7; i++) {
+            const dateStr = formatDate(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i));
+            if (dateStr !== date && isEmployeeWorking(scheduleData, dateStr, employee)) weeklyCount++;
         }
+        return weeklyCount + 1 > maxShifts;
+    };
 
-        // 檢查與後一天的班次間隔
-        const nextShift = nextShifts.find(s => s.employee === employee && s.shift !== 'off');
-        if (nextShift && !hasEnoughShiftGap(shiftType, nextShift.shift, currentIsHoliday, nextIsHoliday)) {
-            return true;
+    /**
+     * @description Checks whether working `shiftType` on `date` would push the employee's hours for that week (Sun–Sat) past `maxHours`.
+     */
+    RuleEngine.wouldExceedWeeklyHours = function(employee, date, shiftType, maxHours, scheduleData, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS) {
+        if (shiftType === 'off' || !shiftDefinitions[shiftType]) return false;
+        const weekStart = getWeekStart(parseDate(date));
+        let weeklyHours = 0;
+        for (let i = 0; i < 7; i++) {
+            const dateStr = formatDate(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i));
+            if (dateStr !== date) weeklyHours += getDailyHours(scheduleData, dateStr, employee, shiftDefinitions);
+        }
+        return weeklyHours + getShiftDurationHours(shiftDefinitions[shiftType]) > maxHours;
+    };
+
+    /**
+     * @description Checks whether working `shiftType` on `date` would push the employee's overtime for that calendar month
+     * (hours beyond the month's standard hours) past `maxOvertime`.
+     */
+    RuleEngine.wouldExceedMonthlyOvertime = function(employee, date, shiftType, maxOvertime, scheduleData, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS, standardWeeklyHours = DEFAULT_STANDARD_WEEKLY_HOURS) {
+        if (shiftType === 'off' || !shiftDefinitions[shiftType]) return false;
+        const target = parseDate(date);
+        const year = target.getFullYear();
+        const month = target.getMonth();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        let monthlyHours = 0;
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateStr = formatDate(new Date(year, month, day));
+            if (dateStr !== date) monthlyHours += getDailyHours(scheduleData, dateStr, employee, shiftDefinitions);
+        }
+        monthlyHours += getShiftDurationHours(shiftDefinitions[shiftType]);
+        return monthlyHours - getMonthlyStandardHours(year, month, standardWeeklyHours) > maxOvertime;
+    };
+
+    /**
+     * @description Checks whether working on `date` would leave any 7-day period containing it with fewer than `minDaysOff` days off.
+     */
+    RuleEngine.wouldViolateDaysOff = function(employee, date, minDaysOff, scheduleData) {
+        const target = parseDate(date);
+        for (let offset = 0; offset < DAYS_OFF_PERIOD; offset++) {
+            let workDays = 1;
+            for (let i = 0; i < DAYS_OFF_PERIOD; i++) {
+                const dateStr = formatDate(new Date(target.getFullYear(), target.getMonth(), target.getDate() - offset + i));
+                if (dateStr !== date && isEmployeeWorking(scheduleData, dateStr, employee)) workDays++;
+            }
+            if (DAYS_OFF_PERIOD - workDays < minDaysOff) return true;
         }
-        
         return false;
     };
 
-    window.RuleEngine = RuleEngine;
+    /**
+     * @description Ranks how well a shift matches the employee's `preferredShift` rules:
+     * 0 = preferred, 1 = no applicable preference, 2 = prefers another shift. Lower is better.
+     * A preference only counts against a shift when a preferred shift exists on the same kind of day.
+     */
+    RuleEngine.getShiftPreferenceRank = function(employee, shiftType, employeeRules, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS) {
+        const preferences = (employeeRules || []).filter(r => r.employee === employee && r.type === 'preferredShift' && shiftDefinitions[r.shift]);
+        if (preferences.length === 0) return 1;
+        const groups = preferences.map(r => getPreferenceGroup(r.shift, shiftDefinitions));
+        if (groups.some(group => group.includes(shiftType))) return 0;
+
+        const dayTypes = shiftDefinitions[shiftType]?.dayTypes || [];
+        const hasComparable = groups.some(group => group.some(s => shiftDefinitions[s].dayTypes.some(t => dayTypes.includes(t))));
+        return hasComparable ? 2 : 1;
+    };
+
+    /**
+     * 取得員工在目標日期前後幾天的班次時間（不含目標班次本身），供單一班次的預檢使用
+     */
+    function getNearbyIntervals(employee, date, shiftType, scheduleData, days, shiftDefinitions) {
+        const target = parseDate(date);
+        const startDate = new Date(target.getFullYear(), target.getMonth(), target.getDate() - days);
+        const endDate = new Date(target.getFullYear(), target.getMonth(), target.getDate() + days);
+        return getEmployeeIntervals(scheduleData, employee, startDate, endDate, shiftDefinitions)
+            .filter(i => i.date !== date || i.shift !== shiftType);
+    }
+
+    /**
+     * @description Checks whether working `shiftType` on `date` would join back-to-back shifts (no rest in between)
+     * into a continuous stretch of 24 hours or more, using the shifts' actual start and end times.
+     */
+    RuleEngine.wouldCause24HourShift = function(employee, date, shiftType, scheduleData, holidayDates, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS) {
+        if (shiftType === 'off') return false;
+        const candidate = getShiftInterval(date, shiftType, shiftDefinitions);
+        if (!candidate) return false;
+
+        const intervals = getNearbyIntervals(employee, date, shiftType, scheduleData, 2, shiftDefinitions);
+        intervals.push(candidate);
+        intervals.sort((a, b) => a.start - b.start);
+        const stretch = getContinuousStretches(intervals).find(s => s.intervals.includes(candidate));
+        return (stretch.end - stretch.start) / HOUR_MS >= MAX_CONTINUOUS_WORK_HOURS;
+    };
+
+    /**
+     * @description Checks whether working `shiftType` on `date` would leave less than `minRestHours`
+     * between it and the employee's previous or next shift, using the shifts' actual start and end times.
+     */
+    RuleEngine.wouldViolateShiftGap = function(employee, date, shiftType, scheduleData, holidayDates, minRestHours = DEFAULT_MIN_REST_HOURS, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS) {
+        if (shiftType === 'off') return false;
+        const candidate = getShiftInterval(date, shiftType, shiftDefinitions);
+        if (!candidate) return false;
+
+        const days = Math.ceil(minRestHours / 24) + 2;
+        return getNearbyIntervals(employee, date, shiftType, scheduleData, days, shiftDefinitions).some(other => {
+            const restHours = other.start < candidate.start
+                ? (candidate.start - other.end) / HOUR_MS
+                : (other.start - candidate.end) / HOUR_MS;
+            return restHours < minRestHours;
+        });
+    };
+
+    /**
+     * @description Checks the employee's own rules for working `shiftType` on `date` against `scheduleData`
+     * (which may already contain that shift), stopping at the first rule that would be broken.
+     * Availability and same-day duplicates are left to the caller.
+     * @param {object} options - { employeeRules, holidayDates, shiftDefinitions, maxConsecutiveDays, enforce24HourForAll, enforceShiftGapForAll }
+     * `maxConsecutiveDays` is the fallback when the employee has no `maxConsecutiveWorkDays` rule (omit it to skip the check);
+     * the `enforce*ForAll` flags apply the 24-hour and rest-gap checks to employees without those rules.
+     * @returns {{canWork: boolean, reason: ?string}}
+     */
+    RuleEngine.checkAssignment = function(employee, date, shiftType, scheduleData, options = {}) {
+        const { employeeRules = [], holidayDates = {}, shiftDefinitions = DEFAULT_SHIFT_DEFINITIONS, maxConsecutiveDays, enforce24HourForAll = false, enforceShiftGapForAll = false } = options;
+        const findEmployeeRule = (type) => employeeRules.find(r => r.employee === employee && r.type === type);
+
+        // 個人的連續工作天規則優先於全域上限
+        const consecutiveRule = findEmployeeRule('maxConsecutiveWorkDays');
+        const maxDays = consecutiveRule ? parseInt(consecutiveRule.value, 10) : maxConsecutiveDays;
+        if (maxDays !== undefined && RuleEngine.wouldExceedConsecutiveWorkDays(employee, date, maxDays, scheduleData)) return { canWork: false, reason: `已達最大連續工作天(${maxDays})` };
+
+        if ((enforce24HourForAll || findEmployeeRule('no24HourShift')) && RuleEngine.wouldCause24HourShift(employee, date, shiftType, scheduleData, holidayDates, shiftDefinitions)) return { canWork: false, reason: '違反24小時輪班規則' };
+        const restRule = findEmployeeRule('noDirectShiftTransition');
+        if ((enforceShiftGapForAll || restRule) && RuleEngine.wouldViolateShiftGap(employee, date, shiftType, scheduleData, holidayDates, getMinRestHours(restRule), shiftDefinitions)) return { canWork: false, reason: '班次間休息時數不足' };
+
+        const balanceRule = findEmployeeRule('balanceShifts');
+        if (balanceRule && RuleEngine.wouldBreakShiftBalance(employee, date, shiftType, parseInt(balanceRule.value, 10) || 2, scheduleData, shiftDefinitions)) return { canWork: false, reason: `白班夜班差距將超過 ${balanceRule.value}` };
+
+        const weeklyRule = findEmployeeRule('maxWeeklyShifts');
+        if (weeklyRule && RuleEngine.wouldExceedWeeklyShifts(employee, date, parseInt(weeklyRule.value, 10), scheduleData)) return { canWork: false, reason: `已達每週最大班次數(${weeklyRule.value})` };
+
+        const weeklyHoursRule = findEmployeeRule('maxWeeklyHours');
+        if (weeklyHoursRule && RuleEngine.wouldExceedWeeklyHours(employee, date, shiftType, parseFloat(weeklyHoursRule.value), scheduleData, shiftDefinitions)) return { canWork: false, reason: `將超過每週工時上限(${weeklyHoursRule.value}小時)` };
+
+        const overtimeRule = findEmployeeRule('maxMonthlyOvertime');
+        if (overtimeRule && RuleEngine.wouldExceedMonthlyOvertime(employee, date, shiftType, parseFloat(overtimeRule.value), scheduleData, shiftDefinitions, overtimeRule.standardWeeklyHours || DEFAULT_STANDARD_WEEKLY_HOURS)) return { canWork: false, reason: `將超過每月加班上限(${overtimeRule.value}小時)` };
+
+        const daysOffRule = findEmployeeRule('minDaysOffInSeven');
+        if (daysOffRule && RuleEngine.wouldViolateDaysOff(employee, date, parseInt(daysOffRule.value, 10) || 1, scheduleData)) return { canWork: false, reason: `七日內休息將少於 ${daysOffRule.value} 天` };
+
+        return { canWork: true, reason: null };
+    };
+
+    return RuleEngine;
 
-})(window);
+});
@@ -0,0 +1,419 @@
+/**
+ * @file scheduling_rules.test.js
+ * @description 規則引擎的測試（以 node --test 執行）。
+ * 跨月、跨年的部分檢查月底與下個月初相接的違規在兩個月份都會列出，以及跨月檢查範圍為 0 天與 62 天時的結果。
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RuleEngine = require('./scheduling_rules.js');
+
+// 2026 年 10 月、12 月與 2027 年 1 月（month 為 0-11）
+const OCTOBER = { year: 2026, month: 9 };
+const DECEMBER = { year: 2026, month: 11 };
+const JANUARY = { year: 2027, month: 0 };
+
+const evaluateRule = (scheduleData, rule, options) => {
+    const conditions = rule.shift ? { shiftRules: [rule] } : { employeeRules: [rule] };
+    return RuleEngine.evaluate(scheduleData, conditions, options).filter(v => v.ruleType === rule.type);
+};
+
+/**
+ * 從 startDate 起連續 days 天都排 employee 的白班
+ */
+const buildStreak = (employee, startDate, days) => {
+    const scheduleData = {};
+    const [year, month, day] = startDate.split('-').map(Number);
+    for (let i = 0; i < days; i++) {
+        const date = new Date(year, month - 1, day + i);
+        const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        scheduleData[dateStr] = [{ employee, shift: 'day' }];
+    }
+    return scheduleData;
+};
+
+test('evaluate 回傳違規物件，不需要畫面', () => {
+    const scheduleData = {
+        '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'a', shift: 'evening' }],
+    };
+    const violations = RuleEngine.evaluate(scheduleData, {}, OCTOBER);
+    assert.deepEqual(violations, [{
+        ruleType: 'duplicateAssignment',
+        severity: 'error',
+        employee: 'a',
+        dates: ['2026-10-05'],
+        shift: null,
+        message: 'a 在同一天被安排多個班次: day, evening',
+    }]);
+});
+
+test('軟性規則為提醒，其餘為衝突', () => {
+    const conditions = {
+        shiftRules: [
+            { shift: 'day', type: 'minStaff', value: 1 },
+            { shift: 'day', type: 'preferredStaff', value: 2 },
+        ],
+    };
+    const scheduleData = { '2026-10-05': [{ employee: 'a', shift: 'day' }] };
+    const violations = RuleEngine.evaluate(scheduleData, conditions, { ...OCTOBER, shiftTypes: { day: '白班' } });
+    const minStaff = violations.filter(v => v.ruleType === 'minStaff');
+    const preferredStaff = violations.filter(v => v.ruleType === 'preferredStaff');
+
+    // 10 月有 22 個平日，10/5 已排 1 人
+    assert.equal(minStaff.length, 21);
+    assert.ok(minStaff.every(v => v.severity === 'error'));
+    assert.equal(preferredStaff.length, 22);
+    assert.ok(preferredStaff.every(v => v.severity === 'warning'));
+    assert.equal(preferredStaff[0].message, '白班 人數與建議不符 (目前: 0, 建議: 2)');
+
+    assert.deepEqual(RuleEngine.summarize(violations), { totalConflicts: 21, totalWarnings: 22, isValid: false });
+    assert.deepEqual(RuleEngine.countViolations({ scheduleData, schedulingConditions: conditions, ...OCTOBER }), RuleEngine.summarize(violations));
+});
+
+test('沒有違規時 isValid 為 true', () => {
+    assert.deepEqual(RuleEngine.summarize(RuleEngine.evaluate({}, {}, OCTOBER)), { totalConflicts: 0, totalWarnings: 0, isValid: true });
+});
+
+test('班次時數：跨午夜的班次與上下班時間相同的 24 小時班', () => {
+    const { DEFAULT_SHIFT_DEFINITIONS } = RuleEngine;
+    assert.equal(RuleEngine.getShiftDurationHours(DEFAULT_SHIFT_DEFINITIONS.day), 8);
+    assert.equal(RuleEngine.getShiftDurationHours(DEFAULT_SHIFT_DEFINITIONS.night), 8);
+    assert.equal(RuleEngine.getShiftDurationHours(DEFAULT_SHIFT_DEFINITIONS['weekend-night']), 12);
+    assert.equal(RuleEngine.getShiftDurationHours({ start: '08:30', end: '08:30' }), 24);
+    assert.equal(RuleEngine.getShiftDurationHours({ start: '09:00', end: '12:30' }), 3.5);
+});
+
+test('validateShiftDefinition 檢查名稱、時間、分類與適用日期', () => {
+    const valid = { name: '短白班', start: '08:00', end: '12:00', category: 'day', dayTypes: ['weekday'] };
+    assert.equal(RuleEngine.validateShiftDefinition(valid), null);
+    assert.equal(RuleEngine.validateShiftDefinition({ ...valid, name: ' ' }), '請輸入班次名稱');
+    assert.equal(RuleEngine.validateShiftDefinition({ ...valid, end: '24:00' }), '上下班時間格式應為 HH:MM');
+    assert.equal(RuleEngine.validateShiftDefinition({ ...valid, category: 'late' }), '班次分類無效');
+    assert.equal(RuleEngine.validateShiftDefinition({ ...valid, dayTypes: [] }), '請至少選擇一種適用日期');
+    assert.equal(RuleEngine.validateShiftDefinition({ ...valid, dayTypes: ['sunday'] }), '適用日期類型無效');
+});
+
+test('休息時數依自訂班次的上下班時間計算', () => {
+    const shiftDefinitions = {
+        ...RuleEngine.DEFAULT_SHIFT_DEFINITIONS,
+        'long-day': { name: '長白班', start: '07:00', end: '19:00', category: 'day', dayTypes: ['weekday'] },
+    };
+    // 10/5 長白班 19:00 下班，10/6 07:00 上白班：休息 12 小時
+    const scheduleData = {
+        '2026-10-05': [{ employee: 'a', shift: 'long-day' }],
+        '2026-10-06': [{ employee: 'a', shift: 'day' }],
+    };
+    const options = { ...OCTOBER, shiftDefinitions };
+    const rest = (minRestHours) => RuleEngine.evaluate(scheduleData, { employeeRules: [{ employee: 'a', type: 'noDirectShiftTransition', minRestHours }] }, options);
+
+    assert.equal(rest(undefined).length, 0);
+    const violations = rest(13);
+    assert.equal(violations.length, 1);
+    assert.deepEqual(violations[0].dates, ['2026-10-05', '2026-10-06']);
+    assert.match(violations[0].message, /休息不足 13 小時 .*僅休息 12 小時/);
+});
+
+test('連續工作滿 24 小時才違反 24 小時班規則', () => {
+    const rule = { employee: 'a', type: 'no24HourShift', value: 1 };
+    // 白班 + 小夜 + 大夜連續 24 小時
+    const full = {
+        '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'a', shift: 'evening' }, { employee: 'a', shift: 'night' }],
+    };
+    const violations = RuleEngine.evaluate(full, { employeeRules: [rule] }, OCTOBER).filter(v => v.ruleType === 'no24HourShift');
+    assert.equal(violations.length, 1);
+    assert.match(violations[0].message, /連續工作 24 小時/);
+
+    // 白班 + 小夜只有 16 小時
+    const partial = { '2026-10-05': [{ employee: 'a', shift: 'day' }, { employee: 'a', shift: 'evening' }] };
+    assert.equal(RuleEngine.evaluate(partial, { employeeRules: [rule] }, OCTOBER).filter(v => v.ruleType === 'no24HourShift').length, 0);
+});
+
+test('工時統計：每月正常工時依當月天數換算，超過的部分為加班', () => {
+    // 10/1 起連續 23 天白班，共 184 小時；10 月正常工時 40 × 31 / 7
+    const scheduleData = buildStreak('a', '2026-10-01', 23);
+    const summary = RuleEngine.getHoursSummary('a', { ...OCTOBER, scheduleData });
+    assert.equal(summary.monthlyHours, 184);
+    assert.equal(summary.standardHours, 40 * 31 / 7);
+    assert.equal(summary.overtimeHours, 184 - 40 * 31 / 7);
+    // 9/27（週日）起算的第一週只有 10/1 到 10/3 三天
+    assert.deepEqual(summary.weeks[0], { weekStart: '2026-09-27', hours: 24 });
+    assert.equal(summary.weeks.length, 5);
+    assert.deepEqual(summary.rolling4Week, { hours: 184, startDate: '2026-09-26', endDate: '2026-10-23' });
+    assert.equal(RuleEngine.calculateWorkHours('a', '2026-10-04', '2026-10-10', scheduleData), 56);
+});
+
+test('每週工時上限：超過上限的日期才列出', () => {
+    // 10/5（週一）到 10/10（週六）六天白班，共 48 小時
+    const scheduleData = buildStreak('a', '2026-10-05', 6);
+    const violations = RuleEngine.evaluate(scheduleData, { employeeRules: [{ employee: 'a', type: 'maxWeeklyHours', value: 40 }] }, OCTOBER);
+    assert.equal(violations.length, 1);
+    assert.deepEqual(violations[0].dates, ['2026-10-10']);
+    assert.match(violations[0].message, /本週工時 48 小時 \(超過每週上限 40 小時\)/);
+
+    assert.equal(RuleEngine.wouldExceedWeeklyHours('a', '2026-10-10', 'day', 40, buildStreak('a', '2026-10-05', 5)), true);
+    assert.equal(RuleEngine.wouldExceedWeeklyHours('a', '2026-10-10', 'off', 40, buildStreak('a', '2026-10-05', 5)), false);
+    assert.equal(RuleEngine.wouldExceedWeeklyHours('a', '2026-10-09', 'day', 40, buildStreak('a', '2026-10-05', 4)), false);
+});
+
+test('每月加班上限', () => {
+    const scheduleData = buildStreak('a', '2026-10-01', 23);
+    const rule = { employee: 'a', type: 'maxMonthlyOvertime', value: 4 };
+    const violations = RuleEngine.evaluate(scheduleData, { employeeRules: [rule] }, OCTOBER);
+    // 第 23 天累計 184 小時，加班約 6.9 小時；第 22 天 176 小時未超過正常工時
+    assert.equal(violations.length, 1);
+    assert.deepEqual(violations[0].dates, ['2026-10-23']);
+    assert.equal(RuleEngine.evaluate(scheduleData, { employeeRules: [{ ...rule, value: 8 }] }, OCTOBER).length, 0);
+    assert.equal(RuleEngine.wouldExceedMonthlyOvertime('a', '2026-10-24', 'day', 8, scheduleData), true);
+});
+
+test('每七天至少休息一天：相連的違規區間合併為一筆', () => {
+    // 10/5 到 10/12 連續 8 天：10/5~10/11 與 10/6~10/12 兩個區間都沒有休息
+    const scheduleData = buildStreak('a', '2026-10-05', 8);
+    const violations = RuleEngine.evaluate(scheduleData, { employeeRules: [{ employee: 'a', type: 'minDaysOffInSeven', value: 1 }] }, OCTOBER);
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].dates.length, 8);
+    assert.match(violations[0].message, /在 2026-10-05 ~ 2026-10-12 期間，連續 7 天內僅休息 0 天/);
+
+    assert.equal(RuleEngine.wouldViolateDaysOff('a', '2026-10-11', 1, buildStreak('a', '2026-10-05', 6)), true);
+    assert.equal(RuleEngine.wouldViolateDaysOff('a', '2026-10-10', 1, buildStreak('a', '2026-10-05', 5)), false);
+});
+
+test('技能人數：職稱與標籤都算具備技能，沒有員工資料時不檢查', () => {
+    const employees = [
+        { id: 'a', name: '王小明', role: '護理師', seniority: 3, tags: ['ACLS'] },
+        { id: 'b', name: '李小華', role: '檢傷護理師', seniority: 1, tags: [] },
+    ];
+    assert.equal(RuleEngine.hasSkill(employees[0], 'ACLS'), true);
+    assert.equal(RuleEngine.hasSkill(employees[1], '檢傷護理師'), true);
+    assert.equal(RuleEngine.hasSkill(employees[1], 'ACLS'), false);
+    assert.equal(RuleEngine.hasSkill(undefined, 'ACLS'), false);
+
+    const conditions = { shiftRules: [{ shift: 'day', type: 'minSkillStaff', tag: 'ACLS', value: 1 }] };
+    const scheduleData = {
+        '2026-10-05': [{ employee: 'a', shift: 'day' }],
+        '2026-10-06': [{ employee: 'b', shift: 'day' }],
+    };
+    const dates = RuleEngine.evaluate(scheduleData, conditions, { ...OCTOBER, employees }).map(v => v.dates[0]);
+    assert.ok(!dates.includes('2026-10-05'));
+    assert.ok(dates.includes('2026-10-06'));
+    assert.equal(RuleEngine.evaluate(scheduleData, conditions, OCTOBER).length, 0);
+});
+
+test('訊息顯示員工姓名，未提供員工資料時顯示代碼', () => {
+    const employees = [{ id: 'e1', name: '王小明', role: '', seniority: 0, tags: [] }];
+    const scheduleData = { '2026-10-05': [{ employee: 'e1', shift: 'day' }, { employee: 'e1', shift: 'evening' }] };
+    assert.match(RuleEngine.evaluate(scheduleData, {}, { ...OCTOBER, employees })[0].message, /^王小明 在同一天/);
+    assert.match(RuleEngine.evaluate(scheduleData, {}, OCTOBER)[0].message, /^e1 在同一天/);
+});
+
+test('可用性：指定班次的設定優先於整天設定，舊格式的 false 視為整天不可上班', () => {
+    const employeeAvailability = {
+        a: { '2026-10-05': { all: 'preferOff', night: 'unavailable' }, '2026-10-06': false, '2026-10-07': true },
+    };
+    assert.equal(RuleEngine.getAvailabilityState(employeeAvailability, 'a', '2026-10-05', 'night'), 'unavailable');
+    assert.equal(RuleEngine.getAvailabilityState(employeeAvailability, 'a', '2026-10-05', 'day'), 'preferOff');
+    assert.equal(RuleEngine.getAvailabilityState(employeeAvailability, 'a', '2026-10-06', 'day'), 'unavailable');
+    assert.equal(RuleEngine.getAvailabilityState(employeeAvailability, 'a', '2026-10-07', 'day'), null);
+    assert.equal(RuleEngine.getAvailabilityState(employeeAvailability, 'b', '2026-10-05', 'day'), null);
+});
+
+test('不可上班為衝突，希望休假、希望上班未達成為提醒', () => {
+    const employeeAvailability = {
+        a: {
+            '2026-10-05': { night: 'unavailable' },
+            '2026-10-06': { all: 'preferOff' },
+            '2026-10-07': { all: 'preferWork' },
+            '2026-10-08': { evening: 'preferWork' },
+        },
+    };
+    const scheduleData = {
+        '2026-10-05': [{ employee: 'a', shift: 'night' }],
+        '2026-10-06': [{ employee: 'a', shift: 'day' }],
+        '2026-10-08': [{ employee: 'a', shift: 'evening' }],
+    };
+    const violations = RuleEngine.evaluate(scheduleData, {}, { ...OCTOBER, employeeAvailability, shiftTypes: { night: '大夜', day: '白班' } });
+    assert.deepEqual(violations.map(v => [v.ruleType, v.severity, v.dates[0], v.message]), [
+        ['employeeAvailability', 'error', '2026-10-05', 'a 在此日設定為不可上大夜'],
+        ['availabilityRequest', 'warning', '2026-10-06', 'a 希望此日休假，但被排入白班'],
+        ['availabilityRequest', 'warning', '2026-10-07', 'a 希望此日上班，但未排班'],
+    ]);
+
+    assert.deepEqual(RuleEngine.summarizeRequests('a', { ...OCTOBER, scheduleData, employeeAvailability }), {
+        unavailable: { requested: 1, granted: 0 },
+        preferOff: { requested: 1, granted: 0 },
+        preferWork: { requested: 2, granted: 1 },
+    });
+});
+
+test('checkAssignment：個人規則優先於全域的連續工作天上限', () => {
+    const scheduleData = buildStreak('a', '2026-10-01', 4);
+    assert.deepEqual(RuleEngine.checkAssignment('a', '2026-10-05', 'day', scheduleData), { canWork: true, reason: null });
+    assert.deepEqual(RuleEngine.checkAssignment('a', '2026-10-05', 'day', scheduleData, { maxConsecutiveDays: 3 }), { canWork: false, reason: '已達最大連續工作天(3)' });
+
+    const employeeRules = [{ employee: 'a', type: 'maxConsecutiveWorkDays', value: 6 }];
+    assert.equal(RuleEngine.checkAssignment('a', '2026-10-05', 'day', scheduleData, { employeeRules, maxConsecutiveDays: 3 }).canWork, true);
+});
+
+test('checkAssignment：全域的 24 小時與休息時數檢查', () => {
+    // 10/4 大夜到 10/5 早上 7 點，接著上白班：沒有休息
+    const afterNight = { '2026-10-04': [{ employee: 'a', shift: 'night' }] };
+    assert.equal(RuleEngine.checkAssignment('a', '2026-10-05', 'day', afterNight).canWork, true);
+    assert.deepEqual(RuleEngine.checkAssignment('a', '2026-10-05', 'day', afterNight, { enforceShiftGapForAll: true }), { canWork: false, reason: '班次間休息時數不足' });
+
+    // 10/4 小夜、大夜再接 10/5 白班：連續 24 小時
+    const afterEveningAndNight = { '2026-10-04': [{ employee: 'a', shift: 'evening' }, { employee: 'a', shift: 'night' }] };
+    assert.equal(RuleEngine.checkAssignment('a', '2026-10-05', 'day', afterEveningAndNight).canWork, true);
+    assert.deepEqual(RuleEngine.checkAssignment('a', '2026-10-05', 'day', afterEveningAndNight, { enforce24HourForAll: true }), { canWork: false, reason: '違反24小時輪班規則' });
+});
+
+test('固定可用性規則：每週、每月第幾個星期幾、日期區間與例外日期', () => {
+    // 2026-10-01 為週四
+    const weekly = { state: 'unavailable', repeat: 'weekly', weekdays: [1, 3], exceptions: ['2026-10-12'] };
+    assert.equal(RuleEngine.patternMatchesDate(weekly, '2026-10-05'), true);
+    assert.equal(RuleEngine.patternMatchesDate(weekly, '2026-10-07'), true);
+    assert.equal(RuleEngine.patternMatchesDate(weekly, '2026-10-06'), false);
+    assert.equal(RuleEngine.patternMatchesDate(weekly, '2026-10-12'), false);
+    assert.equal(RuleEngine.patternMatchesDate({ ...weekly, startDate: '2026-10-06' }, '2026-10-05'), false);
+
+    const secondTuesday = { state: 'preferOff', repeat: 'nthWeekday', weekday: 2, nth: 2 };
+    assert.equal(RuleEngine.patternMatchesDate(secondTuesday, '2026-10-13'), true);
+    assert.equal(RuleEngine.patternMatchesDate(secondTuesday, '2026-10-06'), false);
+    const lastFriday = { state: 'preferOff', repeat: 'nthWeekday', weekday: 5, nth: -1 };
+    assert.equal(RuleEngine.patternMatchesDate(lastFriday, '2026-10-30'), true);
+    assert.equal(RuleEngine.patternMatchesDate(lastFriday, '2026-10-23'), false);
+
+    const range = { state: 'unavailable', repeat: 'dateRange', startDate: '2026-10-10', endDate: '2026-10-12' };
+    assert.equal(RuleEngine.patternMatchesDate(range, '2026-10-11'), true);
+    assert.equal(RuleEngine.patternMatchesDate(range, '2026-10-13'), false);
+});
+
+test('validateAvailabilityPattern 檢查狀態、重複方式與日期', () => {
+    const valid = { state: 'unavailable', repeat: 'weekly', weekdays: [1] };
+    assert.equal(RuleEngine.validateAvailabilityPattern(valid), null);
+    assert.equal(RuleEngine.validateAvailabilityPattern({ ...valid, state: 'busy' }), '可用性狀態無效');
+    assert.equal(RuleEngine.validateAvailabilityPattern({ ...valid, repeat: 'daily' }), '重複方式無效');
+    assert.equal(RuleEngine.validateAvailabilityPattern({ ...valid, startDate: '2026-10-10', endDate: '2026-10-01' }), '開始日期不可晚於結束日期');
+    assert.equal(RuleEngine.validateAvailabilityPattern({ ...valid, exceptions: ['10/5'] }), '例外日期格式應為 YYYY-MM-DD');
+    assert.equal(RuleEngine.validateAvailabilityPattern({ ...valid, weekdays: [7] }), '請至少選擇一個星期');
+    assert.equal(RuleEngine.validateAvailabilityPattern({ state: 'preferOff', repeat: 'nthWeekday', weekday: 1, nth: 6 }), '請選擇第幾個星期幾');
+    assert.equal(RuleEngine.validateAvailabilityPattern({ state: 'preferOff', repeat: 'dateRange', startDate: '2026-10-01' }), '請輸入開始與結束日期');
+});
+
+test('resolveAvailability：同一日期同一班次以單日設定優先', () => {
+    const employeeAvailability = { a: { '2026-10-05': { all: 'preferWork' }, '2026-11-02': { all: 'preferOff' } } };
+    const availabilityPatterns = {
+        a: [
+            { state: 'unavailable', shift: 'all', repeat: 'weekly', weekdays: [1] },
+            { state: 'unavailable', shift: 'night', repeat: 'weekly', weekdays: [1] },
+        ],
+    };
+    const resolved = RuleEngine.resolveAvailability(employeeAvailability, availabilityPatterns, '2026-10-01', '2026-10-31');
+    assert.deepEqual(resolved.a['2026-10-05'], { all: 'preferWork', night: 'unavailable' });
+    assert.deepEqual(resolved.a['2026-10-12'], { all: 'unavailable', night: 'unavailable' });
+    assert.deepEqual(resolved.a['2026-11-02'], { all: 'preferOff' });
+    assert.equal(resolved.a['2026-10-06'], undefined);
+    assert.deepEqual(employeeAvailability.a, { '2026-10-05': { all: 'preferWork' }, '2026-11-02': { all: 'preferOff' } });
+});
+
+test('公平性策略依換算後的點數挑選，沒有點數時改用班數', () => {
+    const stats = { a: { totalShifts: 1, load: 4, nightLoad: 0 }, b: { totalShifts: 5, load: 2, nightLoad: 3 }, c: { totalShifts: 3 } };
+    assert.deepEqual(RuleEngine.selectEmployeesWithFairness(['a', 'b', 'c'], 'day', 2, stats, [], 'balanced'), ['b', 'c']);
+    assert.deepEqual(RuleEngine.selectEmployeesWithFairness(['a', 'b', 'c'], 'night', 1, stats, [], 'minimize_night'), ['c']);
+    assert.deepEqual(RuleEngine.selectEmployeesWithFairness(['a', 'b'], 'day', 2, stats, [], 'balanced'), ['a', 'b']);
+});
+
+test('跨年的大夜接白班：12 月與 1 月都會列出', () => {
+    const scheduleData = {
+        '2026-12-31': [{ employee: 'a', shift: 'night' }],
+        '2027-01-01': [{ employee: 'a', shift: 'day' }],
+    };
+    const rule = { employee: 'a', type: 'noDirectShiftTransition', value: 1 };
+
+    [DECEMBER, JANUARY].forEach(period => {
+        const violations = evaluateRule(scheduleData, rule, period);
+        assert.equal(violations.length, 1);
+        assert.deepEqual(violations[0].dates, ['2026-12-31', '2027-01-01']);
+        assert.equal(violations[0].severity, 'error');
+    });
+});
+
+test('跨年的連續 24 小時班', () => {
+    const scheduleData = {
+        '2026-12-31': [{ employee: 'a', shift: 'evening' }, { employee: 'a', shift: 'night' }],
+        '2027-01-01': [{ employee: 'a', shift: 'day' }],
+    };
+    const rule = { employee: 'a', type: 'no24HourShift', value: 1 };
+
+    [DECEMBER, JANUARY].forEach(period => {
+        const violations = evaluateRule(scheduleData, rule, period);
+        assert.equal(violations.length, 1);
+        assert.deepEqual(violations[0].dates, ['2026-12-31', '2027-01-01']);
+        assert.match(violations[0].message, /連續工作 24 小時/);
+    });
+});
+
+test('跨月的連續上班：超過的日期在下個月時兩個月份都會列出', () => {
+    // 10/28 到 11/3 連續 7 天，限制 5 天：第 6、7 天（11/2、11/3）超過
+    const scheduleData = buildStreak('a', '2026-10-28', 7);
+    const rule = { employee: 'a', type: 'maxConsecutiveWorkDays', value: 5 };
+
+    const october = evaluateRule(scheduleData, rule, { year: 2026, month: 9 });
+    const november = evaluateRule(scheduleData, rule, { year: 2026, month: 10 });
+    assert.deepEqual(october.map(v => v.dates[0]), ['2026-11-02', '2026-11-03']);
+    assert.deepEqual(november.map(v => v.dates[0]), ['2026-11-02', '2026-11-03']);
+    november.forEach(v => assert.match(v.message, /自 2026-10-28 起/));
+});
+
+test('每日最少人數只檢查本月的日期', () => {
+    const rule = { shift: 'day', type: 'minStaff', value: 1 };
+    const options = { lookBackDays: 62, lookAheadDays: 62 };
+
+    const december = evaluateRule({}, rule, { ...DECEMBER, ...options }).map(v => v.dates[0]);
+    const january = evaluateRule({}, rule, { ...JANUARY, ...options }).map(v => v.dates[0]);
+    assert.ok(december.includes('2026-12-31'));
+    assert.ok(!december.includes('2027-01-01'));
+    assert.ok(january.includes('2027-01-01'));
+    assert.ok(!january.includes('2026-12-31'));
+});
+
+test('檢查範圍為 0 天時不看前後月份', () => {
+    assert.deepEqual(RuleEngine.resolveWindow({}, { lookBackDays: 0, lookAheadDays: 0 }), { lookBackDays: 0, lookAheadDays: 0 });
+
+    const scheduleData = {
+        '2026-12-31': [{ employee: 'a', shift: 'night' }],
+        '2027-01-01': [{ employee: 'a', shift: 'day' }],
+    };
+    const rule = { employee: 'a', type: 'noDirectShiftTransition', value: 1 };
+    assert.equal(evaluateRule(scheduleData, rule, { ...DECEMBER, lookAheadDays: 0 }).length, 0);
+    assert.equal(evaluateRule(scheduleData, rule, { ...JANUARY, lookBackDays: 0 }).length, 0);
+
+    // 排班條件中儲存的 0 天同樣有效，不會退回預設值
+    const saved = { validationWindow: { lookBackDays: 0, lookAheadDays: 0 }, employeeRules: [rule] };
+    assert.equal(RuleEngine.evaluate(scheduleData, saved, DECEMBER).filter(v => v.ruleType === rule.type).length, 0);
+});
+
+test('檢查範圍為 62 天時可追溯到兩個月前開始的連續上班', () => {
+    assert.deepEqual(RuleEngine.resolveWindow({}, { lookBackDays: 62, lookAheadDays: 62 }), { lookBackDays: 62, lookAheadDays: 62 });
+
+    // 10/15 到 12/3 連續 50 天，限制 20 天
+    const scheduleData = buildStreak('a', '2026-10-15', 50);
+    const rule = { employee: 'a', type: 'maxConsecutiveWorkDays', value: 20 };
+
+    const wide = evaluateRule(scheduleData, rule, { ...DECEMBER, lookBackDays: 62 });
+    assert.deepEqual(wide.map(v => v.dates[0]), ['2026-12-01', '2026-12-02', '2026-12-03']);
+    assert.match(wide[0].message, /連續工作第 48 天 \(自 2026-10-15 起/);
+
+    // 範圍為 0 天時至少往前看限制的天數，仍會發現違規，但起始日只能追溯到 11/11
+    const narrow = evaluateRule(scheduleData, rule, { ...DECEMBER, lookBackDays: 0 });
+    assert.equal(narrow.length, 3);
+    assert.match(narrow[0].message, /自 2026-11-11 起/);
+});
+
+test('不傳 options 時檢查今天所在的月份', () => {
+    const today = new Date();
+    const dateStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-01`;
+    const violations = RuleEngine.evaluate({ [dateStr]: [{ employee: 'a', shift: 'day' }, { employee: 'a', shift: 'night' }] }, {});
+    assert.equal(violations.filter(v => v.ruleType === 'duplicateAssignment').length, 1);
+});